@@ -23,14 +23,168 @@ const CONFIG = {
     DEFAULT_REFRESH_INTERVAL: 3000, // 3 seconds
     MIN_REFRESH_INTERVAL: 2000,
     MAX_REFRESH_INTERVAL: 10000,
+    POLL_BOOST_DURATION: 2 * 60 * 1000, // poll fast this long after create/copy
+    POLL_IDLE_AFTER: 60 * 1000, // start slowing down after a quiet minute
+    RATE_LIMIT_BACKOFF: 30000, // pause for 429/503 without Retry-After
 
     // Timeouts
     REQUEST_TIMEOUT: 10000, // 10 seconds
 
+    // Circuit breaker
+    CIRCUIT_FAILURE_THRESHOLD: 3, // consecutive failures that open a host's circuit
+    CIRCUIT_COOLDOWN: 30000, // how long an open circuit rejects requests
+
     // Cache
     CACHE_DURATION: 2000, // 2 seconds
+
+    // Health monitoring
+    HEALTH_CHECK_INTERVAL: 60000, // background check of every provider
+    HEALTH_SAMPLE_SIZE: 10, // recent requests kept per provider
+    HEALTH_ERROR_THRESHOLD: 0.5, // error rate that marks a provider down
+    HEALTH_SLOW_LATENCY: 5000, // average latency that marks it degraded
+    FAILOVER_POLICY: 'prompt', // 'prompt' | 'auto' | 'off'
+
+    // Push transport
+    PUSH_RETRY_DELAY: 30000, // wait before reopening a failed stream
+
+    // Mailbox lifetime
+    SESSION_LIFETIME: 10 * 60 * 1000, // 10 minutes (default for new addresses)
+    MIN_SESSION_LIFETIME: 10 * 60 * 1000,
+    MAX_SESSION_LIFETIME: 24 * 60 * 60 * 1000, // 24 hours
+    SESSION_EXTENSION: 10 * 60 * 1000, // added by each "+10 min"
+    EXPIRY_WARNING: 60 * 1000, // warn this long before an address expires
+    EXPIRY_RETRY_DELAY: 5000, // first retry of a failed expiry rotation, doubled each time
+    MAX_EXPIRY_RETRY_DELAY: 5 * 60 * 1000,
+
+    // Service worker
+    BACKGROUND_CHECK_INTERVAL: 15 * 60 * 1000, // periodic sync hint; browsers may wait longer
+
+    // Cross-tab sync
+    TAB_SYNC_CHANNEL: 't3n-mail',
+    TAB_HEARTBEAT: 2000, // the leader renews its lease this often
+    TAB_LEADER_TIMEOUT: 5000, // lease length - a silent leader is replaced after it
+    TAB_REQUEST_TIMEOUT: 500, // wait for another tab to answer a request
+
+    // Local archive
+    ARCHIVE_DB_NAME: 't3n-mail',
+    ARCHIVE_DB_VERSION: 1,
 };
 
+// ========================================
+// Errors
+// ========================================
+
+/**
+ * Base class of every error thrown by the API layer.
+ * `provider` is the provider name and `status` the HTTP status, when known.
+ */
+class TempMailError extends Error {
+    constructor(message, { provider = null, status = null, cause = null } = {}) {
+        super(message);
+        this.name = 'TempMailError';
+        this.provider = provider;
+        this.status = status;
+        if (cause) this.cause = cause;
+    }
+}
+
+/** The request never got a response (offline, DNS, CORS...) */
+class NetworkError extends TempMailError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+/** No response within CONFIG.REQUEST_TIMEOUT */
+class TimeoutError extends TempMailError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TimeoutError';
+    }
+}
+
+/** HTTP 429; `retryAfter` is the wait in ms the server asked for, if any */
+class RateLimitedError extends TempMailError {
+    constructor(message, { retryAfter = null, ...options } = {}) {
+        super(message, options);
+        this.name = 'RateLimitedError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/** HTTP 401/403 or missing credentials */
+class AuthError extends TempMailError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthError';
+    }
+}
+
+/** HTTP 5xx, an open circuit or a provider that cannot serve the request */
+class ProviderUnavailableError extends TempMailError {
+    constructor(message, { retryAfter = null, ...options } = {}) {
+        super(message, options);
+        this.name = 'ProviderUnavailableError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/** The message does not exist (any more) on the provider */
+class MessageNotFoundError extends TempMailError {
+    constructor(messageId, options) {
+        super(`Message not found: ${messageId}`, { status: 404, ...options });
+        this.name = 'MessageNotFoundError';
+        this.messageId = messageId;
+    }
+}
+
+/**
+ * No provider could create (and confirm) a mailbox.
+ * `failures` lists { provider, error } for every provider tried.
+ */
+class AllProvidersFailedError extends TempMailError {
+    constructor(failures = []) {
+        super(`All providers failed: ${failures.map(({ provider, error }) =>
+            `${provider.name} (${error?.message || 'unknown error'})`).join(', ') || 'no providers available'}`);
+        this.name = 'AllProvidersFailedError';
+        this.failures = failures;
+    }
+}
+
+/**
+ * Typed error for an unsuccessful HTTP response
+ */
+function createHttpError(response, provider) {
+    const { status } = response;
+    const options = { provider, status };
+    const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+
+    if (status === 429) return new RateLimitedError(`${provider}: rate limit reached`, { ...options, retryAfter });
+    if (status === 401 || status === 403) return new AuthError(`${provider}: not authorized (HTTP ${status})`, options);
+    if (status >= 500) return new ProviderUnavailableError(`${provider}: HTTP ${status}`, { ...options, retryAfter });
+    return new TempMailError(`${provider}: HTTP ${status}`, options);
+}
+
+/**
+ * Turn a 404 into MessageNotFoundError for message endpoints
+ */
+function toMessageError(error, messageId) {
+    return error?.status === 404
+        ? new MessageNotFoundError(messageId, { provider: error.provider, cause: error })
+        : error;
+}
+
+/**
+ * Whether an error means the provider itself is unreachable or failing.
+ * Client errors (4xx, auth, a deleted message) mean it answered.
+ */
+function isProviderFailure(error) {
+    return error instanceof NetworkError ||
+        error instanceof TimeoutError ||
+        error instanceof ProviderUnavailableError;
+}
+
 // ========================================
 // Utility Functions
 // ========================================
@@ -61,34 +215,159 @@ function generateRandomString(length = 10, includeNumbers = true) {
 }
 
 /**
- * Fetch with timeout and retry
+ * Per-host circuit breaker. After repeated failures a host's circuit opens
+ * and requests fail immediately; after the cooldown one trial request is
+ * let through (half-open) and its outcome closes or re-opens the circuit.
+ */
+class CircuitBreaker {
+    constructor({ threshold = CONFIG.CIRCUIT_FAILURE_THRESHOLD, cooldown = CONFIG.CIRCUIT_COOLDOWN } = {}) {
+        this.threshold = threshold;
+        this.cooldown = cooldown;
+        this.circuits = new Map(); // host -> { state, failures, openedAt, trial }
+    }
+
+    getCircuit(host) {
+        if (!this.circuits.has(host)) {
+            this.circuits.set(host, { state: 'closed', failures: 0, openedAt: 0, trial: false });
+        }
+        return this.circuits.get(host);
+    }
+
+    /**
+     * 'closed' | 'open' | 'half-open' (open circuits past their cooldown report half-open)
+     */
+    getState(host) {
+        const circuit = this.getCircuit(host);
+        if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.cooldown) return 'half-open';
+        return circuit.state;
+    }
+
+    /**
+     * Whether a request may go out now; claims the half-open trial
+     */
+    allowRequest(host) {
+        const circuit = this.getCircuit(host);
+        const state = this.getState(host);
+
+        if (state === 'closed') return true;
+        if (state === 'open' || circuit.trial) return false;
+
+        circuit.state = 'half-open';
+        circuit.trial = true;
+        return true;
+    }
+
+    recordSuccess(host) {
+        this.circuits.set(host, { state: 'closed', failures: 0, openedAt: 0, trial: false });
+    }
+
+    recordFailure(host) {
+        const circuit = this.getCircuit(host);
+        circuit.failures++;
+        circuit.trial = false;
+
+        if (circuit.state === 'half-open' || circuit.failures >= this.threshold) {
+            if (circuit.state !== 'open') console.log(`[T3N Mail] Circuit opened for ${host}`);
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+        }
+    }
+}
+
+// Shared by every request so all providers on a host trip together
+const circuitBreaker = new CircuitBreaker();
+
+/**
+ * Host part of a URL, used as the circuit breaker key
+ */
+function getHost(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return String(url);
+    }
+}
+
+/**
+ * Fetch with timeout, retry and a per-host circuit breaker.
+ * Pass `provider` (its name) in options so errors say where they came from.
+ * Failures are thrown as TempMailError subclasses.
  */
 async function fetchWithRetry(url, options = {}, retries = CONFIG.MAX_RETRIES) {
+    const host = getHost(url);
+    const { provider = host, ...fetchOptions } = options;
+
+    if (!circuitBreaker.allowRequest(host)) {
+        const error = new ProviderUnavailableError(`${provider}: circuit open for ${host}`, { provider });
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+    }
+
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+    let error;
 
     try {
         const response = await fetch(url, {
-            ...options,
+            ...fetchOptions,
             signal: controller.signal
         });
-        clearTimeout(timeout);
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+        // The host answered - only server errors count against it
+        if (response.status >= 500) {
+            circuitBreaker.recordFailure(host);
+        } else {
+            circuitBreaker.recordSuccess(host);
         }
 
-        return response;
-    } catch (error) {
+        if (response.ok) return response;
+        error = createHttpError(response, provider);
+    } catch (fetchError) {
+        // No response at all
+        circuitBreaker.recordFailure(host);
+        error = fetchError.name === 'AbortError'
+            ? new TimeoutError(`${provider}: request timed out`, { provider, cause: fetchError })
+            : new NetworkError(`${provider}: could not reach ${host}`, { provider, cause: fetchError });
+    } finally {
         clearTimeout(timeout);
+    }
 
-        if (retries > 0 && !error.name?.includes('Abort')) {
-            const delay = CONFIG.RETRY_DELAY * Math.pow(CONFIG.RETRY_MULTIPLIER, CONFIG.MAX_RETRIES - retries);
-            await sleep(delay);
-            return fetchWithRetry(url, options, retries - 1);
-        }
+    // Only transient failures are retried - never timeouts, client errors,
+    // or a server asking us to back off (429/503)
+    const isTransient = error instanceof NetworkError ||
+        (error instanceof ProviderUnavailableError && error.status !== 503);
 
-        throw error;
+    if (retries > 0 && isTransient && circuitBreaker.getState(host) === 'closed') {
+        const delay = CONFIG.RETRY_DELAY * Math.pow(CONFIG.RETRY_MULTIPLIER, CONFIG.MAX_RETRIES - retries);
+        await sleep(delay);
+        return fetchWithRetry(url, options, retries - 1);
+    }
+
+    throw error;
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in ms, null if absent
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check if a JWT has expired (or will within the margin)
+ */
+function isTokenExpired(token, margin = 60000) {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return !payload.exp || payload.exp * 1000 - margin <= Date.now();
+    } catch {
+        return true;
     }
 }
 
@@ -99,236 +378,1696 @@ function isValidEmail(email) {
     return /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email);
 }
 
+/**
+ * Parse the header block of a raw RFC 822 message into [{ name, value }],
+ * unfolding continuation lines and keeping repeated headers in order
+ */
+function parseRawHeaders(raw) {
+    const end = raw.search(/\r?\n\r?\n/);
+    const block = end === -1 ? raw : raw.slice(0, end);
+    const headers = [];
+
+    block.split(/\r?\n/).forEach(line => {
+        if (/^[ \t]/.test(line) && headers.length > 0) {
+            headers[headers.length - 1].value += ` ${line.trim()}`;
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() });
+        }
+    });
+
+    return headers;
+}
+
 // ========================================
-// Provider: 1secmail (Primary - Most Reliable)
+// Verification Code & Link Extraction
 // ========================================
-class SecMailProvider {
-    constructor() {
-        this.name = '1secmail';
-        this.baseURL = 'https://www.1secmail.com/api/v1/';
-        this.domains = [];
-        this.isHealthy = true;
-        this.lastHealthCheck = 0;
-    }
+const CODE_KEYWORDS = /(code|otp|pin|passcode|password|verification|verify|confirm|security|one[- ]time|كود|رمز|الرمز|التحقق|التفعيل|كلمة المرور)/i;
+const LINK_KEYWORDS = /(verif|confirm|activat|validat|magic|sign-?in|log-?in|auth|token|reset|invite|تأكيد|تفعيل|تحقق|تسجيل الدخول)/i;
+const LINK_EXCLUDE = /(unsubscribe|opt-?out|preferences|privacy|terms|\.(png|jpe?g|gif|svg|css|js)(\?|$))/i;
 
-    async checkHealth() {
-        try {
-            const response = await fetchWithRetry(`${this.baseURL}?action=getDomainList`, {}, 1);
-            const domains = await response.json();
-            this.isHealthy = Array.isArray(domains) && domains.length > 0;
-            this.domains = domains || [];
-            this.lastHealthCheck = Date.now();
-            return this.isHealthy;
-        } catch {
-            this.isHealthy = false;
-            return false;
-        }
-    }
+/**
+ * Convert an HTML body to plain text (works without a DOM)
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/gi, '&')
+        .replace(/[ \t]+/g, ' ');
+}
 
-    async getDomains() {
-        if (this.domains.length === 0 || Date.now() - this.lastHealthCheck > 60000) {
-            await this.checkHealth();
+/**
+ * Find one-time codes and confirmation links in a message.
+ * Codes next to a keyword ("Your code is 123456", "رمز التحقق: 4821")
+ * rank before bare 6-8 digit numbers.
+ */
+function extractVerificationData({ subject = '', textBody = '', htmlBody = '', preview = '' } = {}) {
+    const body = textBody || (htmlBody ? htmlToText(htmlBody) : '') || preview || '';
+    const text = `${subject}\n${body}`.replace(/https?:\/\/\S+/g, ' ');
+
+    // Codes
+    const strong = [];
+    const weak = [];
+    const candidate = /(?:^|[^\w$#+%.-])(\d{4,8}|\d{3}[ -]\d{3}|(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{5,8})(?![\w%]|\.\d)/g;
+    let match;
+
+    while ((match = candidate.exec(text)) !== null) {
+        const code = match[1].replace(/[ -]/g, '');
+        const isDigits = /^\d+$/.test(code);
+        const isYear = /^(19|20)\d\d$/.test(code);
+
+        // Years only count right after a keyword ("code: 2024")
+        const context = text.slice(Math.max(0, match.index - (isYear ? 12 : 40)), match.index + 1);
+
+        if (CODE_KEYWORDS.test(context)) {
+            if (!strong.includes(code)) strong.push(code);
+        } else if (isDigits && code.length >= 6 && !weak.includes(code)) {
+            weak.push(code);
         }
-        return this.domains.length > 0 ? this.domains : [
-            '1secmail.com', '1secmail.org', '1secmail.net',
-            'kzccv.com', 'qiott.com', 'wuuvo.com', 'icznn.com', 'vjuum.com'
-        ];
     }
 
-    async createEmail() {
-        const domains = await this.getDomains();
-        const login = generateRandomString(12);
-        const domain = domains[Math.floor(Math.random() * domains.length)];
-        return { login, domain, email: `${login}@${domain}` };
-    }
+    const codes = [...strong, ...weak.filter(code => !strong.includes(code))];
 
-    async getMessages(login, domain) {
-        const response = await fetchWithRetry(
-            `${this.baseURL}?action=getMessages&login=${login}&domain=${domain}`
-        );
-        return await response.json();
+    // Links
+    const links = [];
+    const addLink = (url, label = '') => {
+        url = url.trim().replace(/&amp;/gi, '&');
+        if (!/^https?:\/\//i.test(url) || LINK_EXCLUDE.test(url) || links.includes(url)) return;
+        if (LINK_KEYWORDS.test(url) || LINK_KEYWORDS.test(label)) links.push(url);
+    };
+
+    const anchor = /<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+    while ((match = anchor.exec(htmlBody || '')) !== null) {
+        addLink(match[1], htmlToText(match[2]));
     }
 
-    async getMessage(login, domain, id) {
-        const response = await fetchWithRetry(
-            `${this.baseURL}?action=readMessage&login=${login}&domain=${domain}&id=${id}`
-        );
-        return await response.json();
+    const bare = /https?:\/\/[^\s<>"')\]]+/g;
+    while ((match = bare.exec(textBody || preview || '')) !== null) {
+        addLink(match[0]);
     }
+
+    return { code: codes[0] || null, codes, link: links[0] || null, links };
 }
 
 // ========================================
-// Provider: Mail.tm (Secondary - Good Compatibility)
+// Mailbox Session
 // ========================================
-class MailTmProvider {
-    constructor() {
-        this.name = 'mail.tm';
-        this.baseURL = 'https://api.mail.tm';
-        this.token = null;
-        this.accountId = null;
-        this.isHealthy = true;
+
+/**
+ * Serializable state of a single mailbox.
+ * Providers keep no per-mailbox state, so any number of sessions
+ * can be used side by side, saved and restored later.
+ */
+class MailboxSession {
+    constructor({
+        providerId,
+        address,
+        login = address?.split('@')[0],
+        domain = address?.split('@')[1],
+        credentials = {},
+        createdAt = Date.now(),
+        expiresAt = createdAt + CONFIG.SESSION_LIFETIME,
+        keepAlive = false
+    } = {}) {
+        this.providerId = providerId || null;
+        this.address = address;
+        this.login = login;
+        this.domain = domain;
+        this.credentials = { ...credentials };
+        this.createdAt = createdAt;
+        this.expiresAt = expiresAt;
+        this.keepAlive = keepAlive; // never expires while set
     }
 
-    async checkHealth() {
-        try {
-            const response = await fetchWithRetry(`${this.baseURL}/domains`, {}, 1);
-            const data = await response.json();
-            this.isHealthy = data['hydra:member']?.length > 0;
-            return this.isHealthy;
-        } catch {
-            this.isHealthy = false;
-            return false;
-        }
+    /**
+     * Alias used by the legacy API
+     */
+    get email() {
+        return this.address;
     }
 
-    async getDomains() {
-        const response = await fetchWithRetry(`${this.baseURL}/domains`);
-        const data = await response.json();
-        return data['hydra:member']?.filter(d => d.isActive).map(d => d.domain) || [];
+    /**
+     * Check if the mailbox lifetime is over
+     */
+    isExpired(now = Date.now()) {
+        return !this.keepAlive && now >= this.expiresAt;
     }
 
-    async createEmail() {
-        const domains = await this.getDomains();
-        if (domains.length === 0) throw new Error('No domains available');
+    /**
+     * Push the expiry back, counting from now if it already passed
+     */
+    extend(ms, now = Date.now()) {
+        this.expiresAt = Math.max(this.expiresAt, now) + ms;
+        return this.expiresAt;
+    }
 
-        const login = generateRandomString(12);
-        const domain = domains[Math.floor(Math.random() * domains.length)];
-        const password = generateRandomString(16) + '!A1';
-        const email = `${login}@${domain}`;
+    toJSON() {
+        return {
+            providerId: this.providerId,
+            address: this.address,
+            login: this.login,
+            domain: this.domain,
+            credentials: { ...this.credentials },
+            createdAt: this.createdAt,
+            expiresAt: this.expiresAt,
+            keepAlive: this.keepAlive
+        };
+    }
 
-        // Create account
-        const createResponse = await fetchWithRetry(`${this.baseURL}/accounts`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ address: email, password })
-        });
+    /**
+     * Restore a session from toJSON() output or its JSON string
+     */
+    static fromJSON(data) {
+        if (data instanceof MailboxSession) return data;
+        return new MailboxSession(typeof data === 'string' ? JSON.parse(data) : data);
+    }
+}
 
-        const accountData = await createResponse.json();
-        this.accountId = accountData.id;
+// ========================================
+// Push Transport (Server-Sent Events)
+// ========================================
 
-        // Get token
-        const tokenResponse = await fetchWithRetry(`${this.baseURL}/token`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ address: email, password })
-        });
+/**
+ * Server-Sent Events reader built on fetch, so it can send an
+ * Authorization header (the native EventSource cannot).
+ * Calls onEvent with each event's data (parsed as JSON when possible)
+ * and onError once if the stream fails or ends.
+ */
+class EventStream {
+    constructor(url, { headers = {}, signal = null, onEvent = () => {}, onError = () => {} } = {}) {
+        this.url = url;
+        this.headers = headers;
+        this.signal = signal; // aborting it closes the stream, also while it opens
+        this.onEvent = onEvent;
+        this.onError = onError;
+        this.controller = null;
+        this.closed = false;
+    }
+
+    static isSupported() {
+        return typeof fetch === 'function' && typeof ReadableStream !== 'undefined' &&
+            typeof TextDecoder !== 'undefined';
+    }
+
+    /**
+     * Connect; rejects with TimeoutError when the server sends no response in time
+     */
+    async open(timeout = CONFIG.REQUEST_TIMEOUT) {
+        this.controller = new AbortController();
+
+        if (this.signal?.aborted) this.close();
+        this.signal?.addEventListener('abort', () => this.close(), { once: true });
+
+        const host = getHost(this.url);
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            this.controller.abort();
+        }, timeout);
+
+        let response;
+        try {
+            response = await fetch(this.url, {
+                headers: { 'Accept': 'text/event-stream', ...this.headers },
+                signal: this.controller.signal
+            });
+        } catch (error) {
+            throw timedOut
+                ? new TimeoutError(`${host}: stream did not open in time`, { provider: host, cause: error })
+                : error;
+        } finally {
+            clearTimeout(timer);
+        }
 
-        const tokenData = await tokenResponse.json();
-        this.token = tokenData.token;
+        if (!response.ok || !response.body) {
+            this.controller.abort();
+            throw createHttpError(response, getHost(this.url));
+        }
 
-        return { login, domain, email, password, token: this.token };
+        this.read(response.body.getReader());
+        return this;
     }
 
-    async getMessages() {
-        if (!this.token) return [];
+    async read(reader) {
+        const decoder = new TextDecoder();
+        let buffer = '';
 
-        const response = await fetchWithRetry(`${this.baseURL}/messages`, {
-            headers: { 'Authorization': `Bearer ${this.token}` }
-        });
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = events.pop();
+                events.forEach(event => this.dispatch(event));
+            }
 
-        const data = await response.json();
-        return data['hydra:member'] || [];
+            if (!this.closed) this.onError(new NetworkError('Stream ended', { provider: getHost(this.url) }));
+        } catch (error) {
+            if (!this.closed) this.onError(error);
+        }
     }
 
-    async getMessage(id) {
-        if (!this.token) return null;
+    dispatch(event) {
+        // Comment lines (":") are keep-alives and carry no data
+        const data = event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
 
-        const response = await fetchWithRetry(`${this.baseURL}/messages/${id}`, {
-            headers: { 'Authorization': `Bearer ${this.token}` }
-        });
+        if (!data) return;
 
-        return await response.json();
+        try {
+            this.onEvent(JSON.parse(data));
+        } catch {
+            this.onEvent(data);
+        }
+    }
+
+    close() {
+        this.closed = true;
+        this.controller?.abort();
     }
 }
 
 // ========================================
-// Provider: Guerrilla Mail (Tertiary - Backup)
+// Adaptive Polling
 // ========================================
-class GuerrillaMailProvider {
-    constructor() {
-        this.name = 'guerrillamail';
-        this.baseURL = 'https://api.guerrillamail.com/ajax.php';
-        this.sidToken = null;
-        this.isHealthy = true;
+
+/**
+ * Decides how often to poll: fast right after an address is created or
+ * copied, gradually slower while nothing arrives, and not at all for a
+ * provider that answered 429/503 until its Retry-After has passed.
+ */
+class PollScheduler {
+    constructor({
+        base = CONFIG.DEFAULT_REFRESH_INTERVAL,
+        min = CONFIG.MIN_REFRESH_INTERVAL,
+        max = CONFIG.MAX_REFRESH_INTERVAL
+    } = {}) {
+        this.min = min;
+        this.max = max;
+        this.setBase(base);
+        this.boostUntil = 0;
+        this.lastActivity = Date.now();
+        this.pausedUntil = new Map(); // providerId -> timestamp
     }
 
-    async checkHealth() {
-        try {
-            const response = await fetchWithRetry(
-                `${this.baseURL}?f=get_email_address&ip=127.0.0.1`,
-                {}, 1
-            );
-            const data = await response.json();
-            this.isHealthy = !!data.email_addr;
-            return this.isHealthy;
-        } catch {
-            this.isHealthy = false;
-            return false;
-        }
+    setBase(base) {
+        this.base = Math.max(this.min, Math.min(base, this.max));
+    }
+
+    /**
+     * Poll at the minimum interval for a while
+     */
+    boost(duration = CONFIG.POLL_BOOST_DURATION) {
+        this.boostUntil = Date.now() + duration;
+        this.lastActivity = Date.now();
+    }
+
+    /**
+     * New mail arrived - stay at the base rate
+     */
+    recordActivity() {
+        this.lastActivity = Date.now();
+    }
+
+    getMode(now = Date.now()) {
+        if (now < this.boostUntil) return 'boost';
+        return now - this.lastActivity < CONFIG.POLL_IDLE_AFTER ? 'normal' : 'idle';
+    }
+
+    /**
+     * Delay before the next poll; doubles for every idle minute up to max
+     */
+    getInterval(now = Date.now()) {
+        const mode = this.getMode(now);
+        if (mode === 'boost') return this.min;
+        if (mode === 'normal') return this.base;
+
+        const idleMinutes = (now - this.lastActivity - CONFIG.POLL_IDLE_AFTER) / 60000;
+        return Math.min(this.max, Math.round(this.base * Math.pow(2, 1 + idleMinutes)));
+    }
+
+    /**
+     * Stop polling a provider for the given time
+     */
+    pause(providerId, ms = CONFIG.RATE_LIMIT_BACKOFF) {
+        const until = Date.now() + ms;
+        this.pausedUntil.set(providerId, Math.max(until, this.pausedUntil.get(providerId) || 0));
+    }
+
+    /**
+     * Time until a paused provider may be polled again (0 if not paused)
+     */
+    getPauseRemaining(providerId, now = Date.now()) {
+        const until = this.pausedUntil.get(providerId) || 0;
+        if (until <= now) {
+            this.pausedUntil.delete(providerId);
+            return 0;
+        }
+        return until - now;
+    }
+}
+
+// ========================================
+// Health Monitor
+// ========================================
+
+/**
+ * Rolling error rate and latency of recent requests per provider
+ */
+class HealthMonitor {
+    constructor({
+        sampleSize = CONFIG.HEALTH_SAMPLE_SIZE,
+        errorThreshold = CONFIG.HEALTH_ERROR_THRESHOLD,
+        slowLatency = CONFIG.HEALTH_SLOW_LATENCY
+    } = {}) {
+        this.sampleSize = sampleSize;
+        this.errorThreshold = errorThreshold;
+        this.slowLatency = slowLatency;
+        this.samples = new Map(); // providerId -> [{ ok, latency, time }]
+        this.lastErrors = new Map(); // providerId -> Error
+    }
+
+    record(providerId, ok, latency, error = null) {
+        const samples = this.samples.get(providerId) || [];
+        samples.push({ ok, latency, time: Date.now() });
+        this.samples.set(providerId, samples.slice(-this.sampleSize));
+
+        if (!ok) this.lastErrors.set(providerId, error);
+    }
+
+    /**
+     * { status, errorRate, latency, samples, lastError } where status is
+     * 'unknown' | 'healthy' | 'degraded' | 'down'
+     */
+    getStats(providerId) {
+        const samples = this.samples.get(providerId) || [];
+        if (samples.length === 0) {
+            return { status: 'unknown', errorRate: 0, latency: 0, samples: 0, lastError: null };
+        }
+
+        const failures = samples.filter(sample => !sample.ok).length;
+        const errorRate = failures / samples.length;
+        const latency = Math.round(samples.reduce((sum, sample) => sum + sample.latency, 0) / samples.length);
+
+        // One failure is noise; a failing streak or a high rate is an outage
+        const lastTwoFailed = samples.length >= 2 && !samples.at(-1).ok && !samples.at(-2).ok;
+        let status = 'healthy';
+        if (lastTwoFailed || (samples.length >= 2 && errorRate >= this.errorThreshold)) {
+            status = 'down';
+        } else if (failures > 0 || latency > this.slowLatency) {
+            status = 'degraded';
+        }
+
+        return { status, errorRate, latency, samples: samples.length, lastError: this.lastErrors.get(providerId) || null };
+    }
+
+    getStatus(providerId) {
+        return this.getStats(providerId).status;
+    }
+}
+
+// ========================================
+// Cross-Tab Sync
+// ========================================
+
+/**
+ * Messages between open tabs of the app plus leader election.
+ * Uses BroadcastChannel where available and `storage` events otherwise;
+ * what goes through localStorage never carries `credentials`.
+ * The leader holds a lease in localStorage and renews it on every heartbeat;
+ * when it closes, hides or stops renewing, an eligible tab takes over.
+ */
+class TabSync {
+    constructor(name = CONFIG.TAB_SYNC_CHANNEL) {
+        this.name = name;
+        this.id = `${Date.now().toString(36)}-${generateRandomString(6)}`;
+        this.channel = null;
+        this.handlers = new Map(); // type -> Set of handlers
+        this.pending = new Map(); // requestId -> resolve
+        this.isLeader = false;
+        this.eligible = true; // may take the lead
+        this.heartbeat = null;
+        this.onStorage = this.onStorage.bind(this);
+    }
+
+    static isSupported() {
+        try {
+            return typeof window !== 'undefined' && !!window.localStorage;
+        } catch {
+            return false;
+        }
+    }
+
+    get leaseKey() {
+        return `${this.name}:leader`;
+    }
+
+    get messageKey() {
+        return `${this.name}:message`;
+    }
+
+    start() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.name);
+            this.channel.onmessage = event => this.dispatch(event.data);
+        }
+        window.addEventListener('storage', this.onStorage);
+
+        this.elect();
+        this.heartbeat = setInterval(() => this.elect(), CONFIG.TAB_HEARTBEAT);
+
+        console.log(`[T3N Mail] Tab sync started via ${this.channel ? 'BroadcastChannel' : 'localStorage'}`);
+    }
+
+    stop() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        this.resign();
+
+        window.removeEventListener('storage', this.onStorage);
+        if (this.channel) this.channel.close();
+        this.channel = null;
+    }
+
+    on(type, handler) {
+        if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.handlers.get(type)?.delete(handler);
+    }
+
+    /**
+     * Send a message to every other tab
+     */
+    post(type, payload = {}, extra = {}) {
+        const message = { type, payload, from: this.id, ...extra };
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        try {
+            // localStorage is written to disk: sessions go without their credentials.
+            // `storage` only fires on a change, so every message gets a nonce
+            const data = JSON.stringify({ ...message, nonce: generateRandomString(8) },
+                (key, value) => (key === 'credentials' ? undefined : value));
+            localStorage.setItem(this.messageKey, data);
+            localStorage.removeItem(this.messageKey);
+        } catch (error) {
+            console.warn('[T3N Mail] Tab sync message not sent:', error);
+        }
+    }
+
+    /**
+     * Ask the other tabs; resolves with the first reply or null on timeout
+     */
+    request(type, payload = {}, timeout = CONFIG.TAB_REQUEST_TIMEOUT) {
+        const requestId = generateRandomString(10);
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                resolve(null);
+            }, timeout);
+
+            this.pending.set(requestId, reply => {
+                clearTimeout(timer);
+                this.pending.delete(requestId);
+                resolve(reply);
+            });
+
+            this.post(type, payload, { requestId });
+        });
+    }
+
+    /**
+     * Answer a message received through request()
+     */
+    reply(message, payload) {
+        if (message?.requestId) this.post('reply', payload, { requestId: message.requestId });
+    }
+
+    dispatch(message) {
+        if (!message || message.from === this.id) return;
+
+        if (message.type === 'reply') {
+            this.pending.get(message.requestId)?.(message.payload);
+            return;
+        }
+
+        this.emit(message.type, message.payload, message);
+    }
+
+    emit(type, payload, message = null) {
+        this.handlers.get(type)?.forEach(handler => {
+            try {
+                handler(payload, message);
+            } catch (error) {
+                console.error(`[T3N Mail] Tab sync handler for ${type} failed:`, error);
+            }
+        });
+    }
+
+    onStorage(event) {
+        if (event.key === this.messageKey && event.newValue) {
+            try {
+                this.dispatch(JSON.parse(event.newValue));
+            } catch (error) {
+                console.warn('[T3N Mail] Malformed tab sync message:', error);
+            }
+        } else if (event.key === this.leaseKey) {
+            // Lease released or taken over - don't wait for the next heartbeat
+            this.elect();
+        }
+    }
+
+    readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(this.leaseKey));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Renew our lease or take over a free one, then check who holds it
+     */
+    elect(now = Date.now()) {
+        const lease = this.readLease();
+        const free = !lease || lease.id === this.id || lease.expiresAt <= now;
+
+        if (free && this.eligible) {
+            try {
+                localStorage.setItem(this.leaseKey, JSON.stringify({ id: this.id, expiresAt: now + CONFIG.TAB_LEADER_TIMEOUT }));
+            } catch (error) {
+                console.warn('[T3N Mail] Could not write leader lease:', error);
+            }
+        }
+
+        // Two tabs may write at once; the last write wins
+        this.setLeader(this.eligible && this.readLease()?.id === this.id);
+    }
+
+    setLeader(isLeader) {
+        if (isLeader === this.isLeader) return;
+
+        this.isLeader = isLeader;
+        console.log(`[T3N Mail] This tab is ${isLeader ? 'now the leader' : 'a follower'}`);
+        this.emit('leader', { isLeader });
+    }
+
+    /**
+     * Give up the lead so another tab can take over right away
+     */
+    resign() {
+        if (this.readLease()?.id === this.id) localStorage.removeItem(this.leaseKey);
+        this.setLeader(false);
+    }
+
+    /**
+     * Allow or forbid this tab to lead (e.g. only while it is visible)
+     */
+    setEligible(eligible) {
+        this.eligible = eligible;
+        if (eligible) {
+            this.elect();
+        } else {
+            this.resign();
+        }
+    }
+}
+
+// ========================================
+// Provider Adapter Contract
+// ========================================
+
+/**
+ * Methods every provider adapter must implement.
+ *
+ * - createEmail({ login, domain }) -> MailboxSession (both options may be omitted)
+ * - listMessages(session)          -> raw message summaries
+ * - readMessage(session, id)       -> raw full message
+ * - deleteMessage(session, id)     -> true if removed on the provider side
+ * - checkHealth()                  -> boolean
+ *
+ * `session` is the MailboxSession returned by createEmail(); provider
+ * credentials live in `session.credentials`. Optional methods:
+ *
+ * - getDomains()                   -> domains for custom addresses
+ * - resumeSession(session)         -> refresh saved credentials before reuse
+ * - getAttachment(session, messageId, attachment) -> Blob with the file bytes
+ * - markRead(session, id)          -> store the read flag on the provider side
+ * - getSource(session, id)         -> raw RFC 822 source of a message
+ * - openStream(session, { onEvent, onError, signal }) -> opened stream with close();
+ *   mailboxes with a live stream are refreshed on its events instead of polled.
+ *   Aborting `signal` cancels the stream, also while it is still connecting
+ *
+ * Read state is always tracked locally, so providers without markRead()
+ * (or without a delete endpoint) still behave consistently in the UI.
+ */
+const PROVIDER_CONTRACT = ['createEmail', 'listMessages', 'readMessage', 'deleteMessage', 'checkHealth'];
+
+// ========================================
+// Provider: 1secmail (Primary - Most Reliable)
+// ========================================
+class SecMailProvider {
+    constructor() {
+        this.id = 'secmail';
+        this.name = '1secmail';
+        this.baseURL = 'https://www.1secmail.com/api/v1/';
+        this.domains = [];
+        this.isHealthy = true;
+        this.lastHealthCheck = 0;
+    }
+
+    async checkHealth() {
+        try {
+            const response = await fetchWithRetry(`${this.baseURL}?action=getDomainList`, { provider: this.name }, 1);
+            const domains = await response.json();
+            this.isHealthy = Array.isArray(domains) && domains.length > 0;
+            this.domains = domains || [];
+            this.lastHealthCheck = Date.now();
+            return this.isHealthy;
+        } catch {
+            this.isHealthy = false;
+            return false;
+        }
+    }
+
+    async getDomains() {
+        if (this.domains.length === 0 || Date.now() - this.lastHealthCheck > 60000) {
+            await this.checkHealth();
+        }
+        return this.domains.length > 0 ? this.domains : [
+            '1secmail.com', '1secmail.org', '1secmail.net',
+            'kzccv.com', 'qiott.com', 'wuuvo.com', 'icznn.com', 'vjuum.com'
+        ];
+    }
+
+    async createEmail({ login = generateRandomString(12), domain } = {}) {
+        const domains = await this.getDomains();
+        domain = domain || domains[Math.floor(Math.random() * domains.length)];
+        return new MailboxSession({ providerId: this.id, address: `${login}@${domain}`, login, domain });
+    }
+
+    async listMessages(session) {
+        const response = await fetchWithRetry(
+            `${this.baseURL}?action=getMessages&login=${session.login}&domain=${session.domain}`,
+            { provider: this.name }
+        );
+        return await response.json();
+    }
+
+    async readMessage(session, id) {
+        const response = await fetchWithRetry(
+            `${this.baseURL}?action=readMessage&login=${session.login}&domain=${session.domain}&id=${id}`,
+            { provider: this.name }
+        ).catch(error => { throw toMessageError(error, id); });
+
+        // Unknown ids come back as a plain-text "Message not found"
+        try {
+            return await response.json();
+        } catch {
+            throw new MessageNotFoundError(id, { provider: this.name });
+        }
+    }
+
+    async deleteMessage() {
+        // 1secmail has no delete endpoint - messages expire on their own
+        return false;
+    }
+
+    async getAttachment(session, messageId, attachment) {
+        const response = await fetchWithRetry(
+            `${this.baseURL}?action=download&login=${session.login}&domain=${session.domain}` +
+            `&id=${messageId}&file=${encodeURIComponent(attachment.filename)}`,
+            { provider: this.name }
+        );
+        return await response.blob();
+    }
+}
+
+// ========================================
+// Provider: Mail.tm (Secondary - Good Compatibility)
+// ========================================
+class MailTmProvider {
+    constructor() {
+        this.id = 'mailtm';
+        this.name = 'mail.tm';
+        this.baseURL = 'https://api.mail.tm';
+        this.mercureURL = 'https://mercure.mail.tm/.well-known/mercure';
+        this.isHealthy = true;
+    }
+
+    async checkHealth() {
+        try {
+            const response = await fetchWithRetry(`${this.baseURL}/domains`, { provider: this.name }, 1);
+            const data = await response.json();
+            this.isHealthy = data['hydra:member']?.length > 0;
+            return this.isHealthy;
+        } catch {
+            this.isHealthy = false;
+            return false;
+        }
+    }
+
+    async getDomains() {
+        const response = await fetchWithRetry(`${this.baseURL}/domains`, { provider: this.name });
+        const data = await response.json();
+        return data['hydra:member']?.filter(d => d.isActive).map(d => d.domain) || [];
+    }
+
+    async createEmail({ login = generateRandomString(12), domain } = {}) {
+        const domains = await this.getDomains();
+        if (domains.length === 0) {
+            throw new ProviderUnavailableError(`${this.name}: no domains available`, { provider: this.name });
+        }
+
+        domain = domain || domains[Math.floor(Math.random() * domains.length)];
+        const password = generateRandomString(16) + '!A1';
+        const email = `${login}@${domain}`;
+
+        // Create account
+        const createResponse = await fetchWithRetry(`${this.baseURL}/accounts`, {
+            provider: this.name,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ address: email, password })
+        });
+
+        const accountData = await createResponse.json();
+        const tokenData = await this.requestToken(email, password);
+
+        return new MailboxSession({
+            providerId: this.id,
+            address: email,
+            login,
+            domain,
+            credentials: { password, token: tokenData.token, accountId: accountData.id }
+        });
+    }
+
+    async requestToken(address, password) {
+        const tokenResponse = await fetchWithRetry(`${this.baseURL}/token`, {
+            provider: this.name,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ address, password })
+        });
+
+        return await tokenResponse.json();
+    }
+
+    async resumeSession(session) {
+        const { token, password } = session.credentials;
+        if (token && !isTokenExpired(token)) return session;
+
+        if (!password) {
+            throw new AuthError(`${this.name}: no saved password for ${session.address}`, { provider: this.name });
+        }
+
+        // JWT expired - log in again with the saved password
+        const tokenData = await this.requestToken(session.address, password);
+        session.credentials.token = tokenData.token;
+        session.credentials.accountId = tokenData.id || session.credentials.accountId;
+
+        return session;
+    }
+
+    async listMessages(session) {
+        if (!session.credentials.token) return [];
+
+        const response = await fetchWithRetry(`${this.baseURL}/messages`, {
+            provider: this.name,
+            headers: { 'Authorization': `Bearer ${session.credentials.token}` }
+        });
+
+        const data = await response.json();
+        return data['hydra:member'] || [];
+    }
+
+    async readMessage(session, id) {
+        if (!session.credentials.token) return null;
+
+        const response = await fetchWithRetry(`${this.baseURL}/messages/${id}`, {
+            provider: this.name,
+            headers: { 'Authorization': `Bearer ${session.credentials.token}` }
+        }).catch(error => {
+            throw toMessageError(error, id);
+        });
+
+        return await response.json();
+    }
+
+    async deleteMessage(session, id) {
+        if (!session.credentials.token) return false;
+
+        await fetchWithRetry(`${this.baseURL}/messages/${id}`, {
+            provider: this.name,
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${session.credentials.token}` }
+        }).catch(error => {
+            throw toMessageError(error, id);
+        });
+
+        return true;
+    }
+
+    async openStream(session, handlers) {
+        const { token, accountId } = session.credentials;
+        if (!token || !accountId || !EventStream.isSupported()) {
+            throw new ProviderUnavailableError(`${this.name}: realtime updates unavailable`, { provider: this.name });
+        }
+
+        // The Mercure hub publishes every change to the account's messages
+        const topic = encodeURIComponent(`/accounts/${accountId}`);
+        return await new EventStream(`${this.mercureURL}?topic=${topic}`, {
+            headers: { 'Authorization': `Bearer ${token}` },
+            ...handlers
+        }).open();
+    }
+
+    async markRead(session, id) {
+        if (!session.credentials.token) return false;
+
+        await fetchWithRetry(`${this.baseURL}/messages/${id}`, {
+            provider: this.name,
+            method: 'PATCH',
+            headers: {
+                'Authorization': `Bearer ${session.credentials.token}`,
+                'Content-Type': 'application/merge-patch+json'
+            },
+            body: JSON.stringify({ seen: true })
+        }).catch(error => {
+            throw toMessageError(error, id);
+        });
+
+        return true;
+    }
+
+    async getAttachment(session, messageId, attachment) {
+        const response = await fetchWithRetry(`${this.baseURL}/messages/${messageId}/attachment/${attachment.id}`, {
+            provider: this.name,
+            headers: { 'Authorization': `Bearer ${session.credentials.token}` }
+        });
+        return await response.blob();
+    }
+
+    async getSource(session, id) {
+        const response = await fetchWithRetry(`${this.baseURL}/sources/${id}`, {
+            provider: this.name,
+            headers: { 'Authorization': `Bearer ${session.credentials.token}` }
+        }).catch(error => {
+            throw toMessageError(error, id);
+        });
+
+        const data = await response.json();
+        return data.data || null;
+    }
+}
+
+// ========================================
+// Provider: Guerrilla Mail (Tertiary - Backup)
+// ========================================
+class GuerrillaMailProvider {
+    constructor() {
+        this.id = 'guerrilla';
+        this.name = 'guerrillamail';
+        this.baseURL = 'https://api.guerrillamail.com/ajax.php';
+        this.isHealthy = true;
+    }
+
+    async checkHealth() {
+        try {
+            const response = await fetchWithRetry(
+                `${this.baseURL}?f=get_email_address&ip=127.0.0.1`,
+                { provider: this.name }, 1
+            );
+            const data = await response.json();
+            this.isHealthy = !!data.email_addr;
+            return this.isHealthy;
+        } catch {
+            this.isHealthy = false;
+            return false;
+        }
+    }
+
+    async getDomains() {
+        // Every Guerrilla domain delivers to the same inbox
+        return [
+            'sharklasers.com', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamail.org',
+            'guerrillamail.biz', 'guerrillamail.de', 'guerrillamail.info', 'grr.la',
+            'guerrillamailblock.com', 'pokemail.net', 'spam4.me'
+        ];
+    }
+
+    async createEmail({ login, domain } = {}) {
+        const response = await fetchWithRetry(
+            `${this.baseURL}?f=get_email_address&ip=127.0.0.1&agent=T3N_Mail`,
+            { provider: this.name }
+        );
+
+        let data = await response.json();
+
+        if (login) {
+            data = await this.setEmailUser(login, data);
+        }
+
+        const user = data.email_addr.split('@')[0];
+
+        return new MailboxSession({
+            providerId: this.id,
+            address: `${user}@${domain || data.email_addr.split('@')[1]}`,
+            credentials: { sidToken: data.sid_token }
+        });
+    }
+
+    async setEmailUser(login, data) {
+        const response = await fetchWithRetry(
+            `${this.baseURL}?f=set_email_user&email_user=${encodeURIComponent(login)}&lang=en&sid_token=${data.sid_token}`,
+            { provider: this.name }
+        );
+
+        return { ...data, ...(await response.json()) };
+    }
+
+    async resumeSession(session) {
+        const response = await fetchWithRetry(
+            `${this.baseURL}?f=get_email_address&ip=127.0.0.1&agent=T3N_Mail&sid_token=${session.credentials.sidToken || ''}`,
+            { provider: this.name }
+        );
+
+        let data = await response.json();
+
+        // An expired sid comes back with a new random address - claim ours again
+        if (data.email_addr?.split('@')[0] !== session.login) {
+            data = await this.setEmailUser(session.login, data);
+        }
+
+        session.credentials.sidToken = data.sid_token;
+        return session;
+    }
+
+    async listMessages(session) {
+        if (!session.credentials.sidToken) return [];
+
+        const response = await fetchWithRetry(
+            `${this.baseURL}?f=check_email&seq=0&sid_token=${session.credentials.sidToken}`,
+            { provider: this.name }
+        );
+
+        const data = await response.json();
+        return data.list || [];
+    }
+
+    async readMessage(session, id) {
+        if (!session.credentials.sidToken) return null;
+
+        const response = await fetchWithRetry(
+            `${this.baseURL}?f=fetch_email&email_id=${id}&sid_token=${session.credentials.sidToken}`,
+            { provider: this.name }
+        );
+
+        // Unknown ids come back as `false`
+        const data = await response.json();
+        if (!data) throw new MessageNotFoundError(id, { provider: this.name });
+        return data;
+    }
+
+    async deleteMessage(session, id) {
+        if (!session.credentials.sidToken) return false;
+
+        await fetchWithRetry(
+            `${this.baseURL}?f=del_email&email_ids[]=${id}&sid_token=${session.credentials.sidToken}`,
+            { provider: this.name }
+        );
+
+        return true;
+    }
+}
+
+// ========================================
+// Message Archive (IndexedDB)
+// ========================================
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Local copy of every fetched message, keyed by [address, id].
+ * Survives address rotation so past verification codes stay reachable.
+ */
+class MessageArchive {
+    constructor(dbName = CONFIG.ARCHIVE_DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, CONFIG.ARCHIVE_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('messages', { keyPath: ['address', 'id'] });
+                    store.createIndex('address', 'address');
+                    store.createIndex('archivedAt', 'archivedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async store(mode) {
+        const db = await this.open();
+        return db.transaction('messages', mode).objectStore('messages');
+    }
+
+    /**
+     * Save a message, merging with what is already archived
+     * so a later summary never wipes an archived body
+     */
+    async put(address, message) {
+        const id = String(message.id);
+        const existing = await idbRequest((await this.store('readonly')).get([address, id]));
+
+        const record = { ...existing, address, id, archivedAt: existing?.archivedAt || Date.now() };
+        ['from', 'subject', 'date', 'preview', 'textBody', 'htmlBody', 'headers'].forEach(field => {
+            if (message[field] !== undefined && message[field] !== null) record[field] = message[field];
+        });
+
+        if (Array.isArray(message.attachments) && message.attachments.length > 0) {
+            record.attachments = message.attachments.map(({ id, filename, contentType, size }) => ({
+                id, filename, contentType, size
+            }));
+        }
+
+        await idbRequest((await this.store('readwrite')).put(record));
+        return record;
+    }
+
+    async putMany(address, messages) {
+        for (const message of messages) {
+            await this.put(address, message);
+        }
+    }
+
+    async get(address, id) {
+        return await idbRequest((await this.store('readonly')).get([address, String(id)])) || null;
+    }
+
+    /**
+     * List archived messages, newest first, optionally for one address
+     * and/or matching a search query (sender, subject, body or address).
+     * HTML-only bodies are searched by their text.
+     */
+    async getAll({ address = null, query = '' } = {}) {
+        const store = await this.store('readonly');
+        const records = address
+            ? await idbRequest(store.index('address').getAll(address))
+            : await idbRequest(store.getAll());
+
+        const needle = query.trim().toLowerCase();
+        const matches = needle
+            ? records.filter(record => [record.address, record.from, record.subject, record.textBody, record.preview,
+                typeof record.htmlBody === 'string' ? htmlToText(record.htmlBody) : null]
+                .some(value => typeof value === 'string' && value.toLowerCase().includes(needle)))
+            : records;
+
+        const time = record => new Date(record.date).getTime() || record.archivedAt;
+        return matches.sort((a, b) => time(b) - time(a));
+    }
+
+    async delete(address, id) {
+        await idbRequest((await this.store('readwrite')).delete([address, String(id)]));
+    }
+
+    async clear() {
+        await idbRequest((await this.store('readwrite')).clear());
+    }
+}
+
+// ========================================
+// Main API Manager - Multi-Provider System
+// ========================================
+class TempMailManager {
+    constructor() {
+        // Current state
+        this.currentProvider = null;
+        this.mailboxes = new Map(); // address -> { session, messages, lastRefresh, read, deleted }
+        this.activeAddress = null;
+        this.refreshInterval = null; // pending poll timer while auto-refresh runs
+        this.refreshCallback = null;
+        this.scheduler = new PollScheduler();
+        this.health = new HealthMonitor();
+        this.healthInterval = null;
+        this.failoverPolicy = CONFIG.FAILOVER_POLICY;
+        this.lifetime = CONFIG.SESSION_LIFETIME; // for addresses created from now on
+        this.migrating = new Set();
+        this.messageCache = new Map(); // "address/id" -> normalized message
+        this.prefetching = new Set();
+        this.archive = MessageArchive.isSupported() ? new MessageArchive() : null;
+        this.listeners = new Map(); // event -> Set of handlers
+
+        // Stats
+        this.stats = {
+            emailsCreated: 0,
+            messagesReceived: 0,
+            providerSwitches: 0
+        };
+    }
+
+    /**
+     * Register a provider adapter for all managers.
+     * Lower priority values are tried first.
+     */
+    static registerProvider(adapter, { priority = 100 } = {}) {
+        const missing = PROVIDER_CONTRACT.filter(method => typeof adapter?.[method] !== 'function');
+
+        if (!adapter?.id || missing.length > 0) {
+            throw new TypeError(
+                `[T3N Mail] Invalid provider adapter ${adapter?.id || '(no id)'}: ` +
+                `missing ${[!adapter?.id && 'id', ...missing].filter(Boolean).join(', ')}`
+            );
+        }
+
+        if (!adapter.name) adapter.name = adapter.id;
+
+        TempMailManager.registry.set(adapter.id, { adapter, priority });
+        return adapter;
+    }
+
+    /**
+     * Remove a provider adapter from the registry
+     */
+    static unregisterProvider(id) {
+        return TempMailManager.registry.delete(id);
+    }
+
+    /**
+     * Subscribe to a manager event, returns an unsubscribe function.
+     *
+     * - message:new        { address, messages }  mail that was not listed before
+     * - email:created      { address, session, provider }
+     * - provider:switched  { from, to, reason }   reason: 'initialize' | 'created' | 'fallback' | 'mailbox'
+     * - provider:unhealthy { provider, error, mailboxes }  health status turned 'down'
+     * - provider:recovered { provider }
+     * - health:changed     { provider, status, stats }
+     * - mailbox:migrated   { from, to, provider }  mailbox moved off a failing provider
+     * - error              { error, context, address }
+     * - poll:state         { mode, interval }      after every scheduled poll
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     */
+    once(event, handler) {
+        const off = this.on(event, data => {
+            off();
+            handler(data);
+        });
+        return off;
+    }
+
+    /**
+     * Remove an event handler
+     */
+    off(event, handler) {
+        this.listeners.get(event)?.delete(handler);
+    }
+
+    /**
+     * Call every handler of an event; a failing handler does not stop the others
+     */
+    emit(event, data) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`[T3N Mail] Error in ${event} handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Make a provider the current one, announcing the change
+     */
+    useProvider(provider, reason) {
+        const from = this.currentProvider;
+        this.currentProvider = provider;
+
+        if (provider && from !== provider) {
+            this.emit('provider:switched', { from, to: provider, reason });
+        }
+    }
+
+    /**
+     * Report a provider that went down, migrating its mailboxes when
+     * the failover policy is 'auto'
+     */
+    reportUnhealthy(provider, error) {
+        provider.isHealthy = false;
+
+        const mailboxes = this.getMailboxes()
+            .filter(session => session.providerId === provider.id)
+            .map(session => session.address);
+
+        console.log(`[T3N Mail] ✗ ${provider.name} is down (${mailboxes.length} mailbox(es) affected)`);
+        this.emit('provider:unhealthy', { provider, error, mailboxes });
+
+        if (this.failoverPolicy === 'auto') {
+            mailboxes.forEach(address => {
+                this.migrateMailbox(address).catch(migrationError => {
+                    console.error(`[T3N Mail] Failover of ${address} failed:`, migrationError);
+                    this.reportError(migrationError, 'failover', address);
+                });
+            });
+        }
+    }
+
+    /**
+     * Record the outcome of a provider request and announce status changes
+     */
+    recordHealth(provider, ok, latency, error = null) {
+        const before = this.health.getStatus(provider.id);
+        this.health.record(provider.id, ok, latency, error);
+
+        const stats = this.health.getStats(provider.id);
+        if (stats.status === before) return;
+
+        provider.isHealthy = stats.status !== 'down';
+        this.emit('health:changed', { provider, status: stats.status, stats });
+
+        if (stats.status === 'down') {
+            this.reportUnhealthy(provider, error);
+        } else if (before === 'down') {
+            console.log(`[T3N Mail] ✓ ${provider.name} recovered`);
+            this.emit('provider:recovered', { provider });
+        }
+    }
+
+    /**
+     * Run a provider request, recording its latency and outcome.
+     * Only provider failures count against health; a client error is an answer,
+     * and rate limiting says nothing about health and is not recorded.
+     */
+    async trackRequest(provider, request) {
+        const started = Date.now();
+
+        try {
+            const result = await request();
+            this.recordHealth(provider, true, Date.now() - started);
+            return result;
+        } catch (error) {
+            if (isProviderFailure(error)) {
+                this.recordHealth(provider, false, Date.now() - started, error);
+            } else if (!(error instanceof RateLimitedError)) {
+                this.recordHealth(provider, true, Date.now() - started);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Health-check a provider and record the result
+     */
+    async checkProvider(provider) {
+        const started = Date.now();
+        let healthy = false;
+        let error = null;
+
+        try {
+            healthy = await provider.checkHealth();
+        } catch (checkError) {
+            error = checkError;
+        }
+
+        this.recordHealth(provider, !!healthy, Date.now() - started, error);
+        return !!healthy;
+    }
+
+    /**
+     * Circuit breaker state of a provider's API host
+     */
+    getCircuitState(provider) {
+        return provider.baseURL ? circuitBreaker.getState(getHost(provider.baseURL)) : 'closed';
+    }
+
+    /**
+     * Health summary of every registered provider
+     */
+    getHealth() {
+        return this.getProviderOrder().map(provider => ({ provider, ...this.health.getStats(provider.id) }));
+    }
+
+    /**
+     * Check all providers in the background
+     */
+    startHealthMonitor(interval = CONFIG.HEALTH_CHECK_INTERVAL) {
+        this.stopHealthMonitor();
+
+        this.healthInterval = setInterval(() => {
+            this.getProviderOrder().forEach(provider => this.checkProvider(provider));
+        }, interval);
+    }
+
+    stopHealthMonitor() {
+        if (this.healthInterval) {
+            clearInterval(this.healthInterval);
+            this.healthInterval = null;
+        }
+    }
+
+    /**
+     * Replace a mailbox with a new address on another (healthy) provider.
+     * The old messages stay in the archive.
+     */
+    async migrateMailbox(address) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox || this.migrating.has(address)) return null;
+
+        const failed = this.getProvider(mailbox.session.providerId);
+        const previousActive = this.activeAddress;
+        this.migrating.add(address);
+
+        try {
+            const email = await this.createEmail({ exclude: [mailbox.session.providerId] });
+
+            this.removeMailbox(address);
+            this.switchMailbox(previousActive === address ? email : previousActive);
+
+            console.log(`[T3N Mail] Migrated ${address} -> ${email}`);
+            this.emit('mailbox:migrated', { from: address, to: email, provider: failed });
+            return email;
+        } finally {
+            this.migrating.delete(address);
+        }
+    }
+
+    /**
+     * Report an error to 'error' listeners
+     */
+    reportError(error, context, address = null) {
+        this.emit('error', { error, context, address });
+    }
+
+    /**
+     * Registered providers keyed by id
+     */
+    get providers() {
+        const providers = {};
+        TempMailManager.registry.forEach(({ adapter }, id) => {
+            providers[id] = adapter;
+        });
+        return providers;
+    }
+
+    /**
+     * Get a registered provider by id
+     */
+    getProvider(id) {
+        return TempMailManager.registry.get(id)?.adapter || null;
+    }
+
+    /**
+     * Registered providers in order of preference
+     */
+    getProviderOrder() {
+        return [...TempMailManager.registry.values()]
+            .sort((a, b) => a.priority - b.priority)
+            .map(entry => entry.adapter);
+    }
+
+    get session() {
+        return this.getMailbox()?.session || null;
+    }
+
+    get messages() {
+        return this.getMailbox()?.messages || [];
+    }
+
+    get email() {
+        return this.session?.address || null;
+    }
+
+    get login() {
+        return this.session?.login || null;
+    }
+
+    get domain() {
+        return this.session?.domain || null;
+    }
+
+    /**
+     * Current mailbox session
+     */
+    getSession() {
+        return this.session;
+    }
+
+    /**
+     * Get mailbox state (defaults to the active mailbox)
+     */
+    getMailbox(address = this.activeAddress) {
+        return this.mailboxes.get(address) || null;
+    }
+
+    /**
+     * Sessions of all open mailboxes
+     */
+    getMailboxes() {
+        return [...this.mailboxes.values()].map(mailbox => mailbox.session);
+    }
+
+    /**
+     * Add a mailbox and make it active by default
+     */
+    addMailbox(session, { activate = true } = {}) {
+        this.mailboxes.set(session.address, {
+            session,
+            messages: [],
+            lastRefresh: 0,
+            loaded: false,      // first listing done - later unknown ids are new mail
+            stream: null,       // open push stream, if the provider has one
+            streamAbort: null,  // cancels a push stream that is still connecting
+            streamRetryAt: 0,
+            read: new Set(),    // ids read in this app
+            deleted: new Set()  // ids deleted here that the provider may still list
+        });
+
+        if (activate || !this.activeAddress) {
+            this.switchMailbox(session.address);
+        }
+
+        return session;
+    }
+
+    /**
+     * Set the lifetime of new addresses, clamped to the allowed range
+     */
+    setLifetime(ms) {
+        this.lifetime = Math.min(CONFIG.MAX_SESSION_LIFETIME, Math.max(CONFIG.MIN_SESSION_LIFETIME, Number(ms) || 0));
+        return this.lifetime;
+    }
+
+    /**
+     * Give an open mailbox more time before it expires
+     */
+    extendMailbox(address = this.activeAddress, ms = CONFIG.SESSION_EXTENSION) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return null;
+
+        const expiresAt = mailbox.session.extend(ms);
+        console.log(`[T3N Mail] ${address} extended until ${new Date(expiresAt).toLocaleTimeString()}`);
+        return expiresAt;
+    }
+
+    /**
+     * Keep an open mailbox from expiring until turned off again
+     */
+    setKeepAlive(address = this.activeAddress, enabled = true) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return false;
+
+        mailbox.session.keepAlive = enabled;
+
+        // Turning it off never expires the mailbox on the spot
+        if (!enabled && mailbox.session.expiresAt < Date.now() + CONFIG.SESSION_EXTENSION) {
+            mailbox.session.expiresAt = Date.now() + CONFIG.SESSION_EXTENSION;
+        }
+        return true;
+    }
+
+    /**
+     * Make another open mailbox the active one
+     */
+    switchMailbox(address) {
+        const mailbox = this.mailboxes.get(address);
+        if (!mailbox) return null;
+
+        this.activeAddress = address;
+        this.useProvider(this.getProvider(mailbox.session.providerId) || this.currentProvider, 'mailbox');
+        return mailbox.session;
+    }
+
+    /**
+     * Close a mailbox and drop its cached messages
+     */
+    removeMailbox(address = this.activeAddress) {
+        this.closeStream(address);
+        if (!this.mailboxes.delete(address)) return false;
+
+        for (const key of this.messageCache.keys()) {
+            if (key.startsWith(`${address}/`)) this.messageCache.delete(key);
+        }
+
+        if (this.activeAddress === address) {
+            this.activeAddress = null;
+            const next = this.mailboxes.keys().next();
+            if (!next.done) this.switchMailbox(next.value);
+        }
+
+        return true;
+    }
+
+    /**
+     * Match the open mailboxes to a list shared by another tab: adds missing
+     * ones and takes over expiry and, when shared, credentials; `prune` closes the rest
+     */
+    syncMailboxes(sessions, activeAddress = null, { prune = true } = {}) {
+        const incoming = sessions.map(data => MailboxSession.fromJSON(data));
+        const addresses = new Set(incoming.map(session => session.address));
+        const withCredentials = new Set(sessions.filter(data => data?.credentials).map(data => data.address));
+
+        if (prune) {
+            [...this.mailboxes.keys()]
+                .filter(address => !addresses.has(address))
+                .forEach(address => this.removeMailbox(address));
+        }
+
+        incoming.forEach(session => {
+            const mailbox = this.getMailbox(session.address);
+            if (mailbox) {
+                // Sessions shared through localStorage come without credentials; keep ours
+                const { credentials } = mailbox.session;
+                Object.assign(mailbox.session, session);
+                if (!withCredentials.has(session.address)) mailbox.session.credentials = credentials;
+            } else {
+                this.addMailbox(session, { activate: false });
+                if (this.refreshInterval) this.openStream(session.address);
+            }
+        });
+
+        if (activeAddress && activeAddress !== this.activeAddress) this.switchMailbox(activeAddress);
+    }
+
+    /**
+     * Key of a message in messageCache
+     */
+    cacheKey(address, messageId) {
+        return `${address}/${messageId}`;
+    }
+
+    /**
+     * Local read/deleted state of a mailbox, for saving alongside its session
+     */
+    getMessageState(address = this.activeAddress) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return null;
+
+        return { read: [...mailbox.read], deleted: [...mailbox.deleted] };
     }
 
-    async createEmail() {
-        const response = await fetchWithRetry(
-            `${this.baseURL}?f=get_email_address&ip=127.0.0.1&agent=T3N_Mail`
-        );
+    /**
+     * Restore read/deleted state saved with getMessageState()
+     */
+    setMessageState(address, { read = [], deleted = [] } = {}) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return false;
 
-        const data = await response.json();
-        this.sidToken = data.sid_token;
+        read.forEach(id => mailbox.read.add(String(id)));
+        deleted.forEach(id => mailbox.deleted.add(String(id)));
 
-        const [login, domain] = data.email_addr.split('@');
-        return { login, domain, email: data.email_addr, sidToken: this.sidToken };
-    }
+        mailbox.messages = mailbox.messages.filter(message => !mailbox.deleted.has(String(message.id)));
+        mailbox.messages.forEach(message => {
+            if (mailbox.read.has(String(message.id))) message.seen = true;
+        });
 
-    async getMessages() {
-        if (!this.sidToken) return [];
+        return true;
+    }
 
-        const response = await fetchWithRetry(
-            `${this.baseURL}?f=check_email&seq=0&sid_token=${this.sidToken}`
-        );
+    /**
+     * Wrap a provider result in a MailboxSession if the adapter returned a plain object
+     */
+    toSession(provider, result) {
+        if (result instanceof MailboxSession) return result;
 
-        const data = await response.json();
-        return data.list || [];
+        const { email, address = email, login, domain, ...credentials } = result;
+        return new MailboxSession({ providerId: provider.id, address, login, domain, credentials });
     }
 
-    async getMessage(id) {
-        if (!this.sidToken) return null;
+    /**
+     * Resume a saved session (MailboxSession, toJSON() output or JSON string)
+     * on the provider that created it, refreshing its credentials if needed
+     */
+    async restoreSession(data) {
+        const session = MailboxSession.fromJSON(data);
+        let provider = this.getProvider(session.providerId);
 
-        const response = await fetchWithRetry(
-            `${this.baseURL}?f=fetch_email&email_id=${id}&sid_token=${this.sidToken}`
-        );
+        if (!provider && session.providerId) {
+            throw new TempMailError(`Unknown provider: ${session.providerId}`, { provider: session.providerId });
+        }
 
-        return await response.json();
-    }
-}
+        // Sessions saved without a provider id can only be guessed
+        if (!provider) {
+            provider = this.currentProvider;
+            session.providerId = provider?.id || null;
+        }
 
-// ========================================
-// Main API Manager - Multi-Provider System
-// ========================================
-class TempMailManager {
-    constructor() {
-        // Initialize all providers
-        this.providers = {
-            secmail: new SecMailProvider(),
-            mailtm: new MailTmProvider(),
-            guerrilla: new GuerrillaMailProvider()
-        };
+        if (provider?.resumeSession) {
+            await provider.resumeSession(session);
+        }
 
-        // Current state
-        this.currentProvider = null;
-        this.email = null;
-        this.login = null;
-        this.domain = null;
-        this.messages = [];
-        this.refreshInterval = null;
-        this.messageCache = new Map();
-        this.lastRefresh = 0;
+        this.addMailbox(session);
 
-        // Stats
-        this.stats = {
-            emailsCreated: 0,
-            messagesReceived: 0,
-            providerSwitches: 0
-        };
+        console.log(`[T3N Mail] Session restored: ${session.address} (${this.getProviderName()})`);
+        return session;
     }
 
     /**
@@ -338,116 +2077,194 @@ class TempMailManager {
         console.log('[T3N Mail] Initializing multi-provider system...');
 
         // Check all providers in order of preference
-        const providerOrder = ['secmail', 'mailtm', 'guerrilla'];
-
-        for (const providerName of providerOrder) {
-            const provider = this.providers[providerName];
+        for (const provider of this.getProviderOrder()) {
             console.log(`[T3N Mail] Checking ${provider.name}...`);
 
-            try {
-                const isHealthy = await provider.checkHealth();
-                if (isHealthy) {
-                    console.log(`[T3N Mail] ✓ ${provider.name} is healthy`);
-                    this.currentProvider = provider;
-                    break;
-                } else {
-                    console.log(`[T3N Mail] ✗ ${provider.name} unavailable`);
-                }
-            } catch (error) {
-                console.log(`[T3N Mail] ✗ ${provider.name} error:`, error.message);
+            if (await this.checkProvider(provider)) {
+                console.log(`[T3N Mail] ✓ ${provider.name} is healthy`);
+                this.useProvider(provider, 'initialize');
+                break;
             }
+
+            console.log(`[T3N Mail] ✗ ${provider.name} unavailable`);
         }
 
         if (!this.currentProvider) {
-            // Fallback to secmail without health check
-            this.currentProvider = this.providers.secmail;
-            console.log('[T3N Mail] Using secmail as fallback');
+            // Fallback to the preferred provider without health check
+            this.useProvider(this.getProviderOrder()[0] || null, 'initialize');
+            console.log(`[T3N Mail] Using ${this.getProviderName()} as fallback`);
         }
 
         return this.currentProvider;
     }
 
     /**
-     * Create new email with automatic provider fallback
+     * Check a user-chosen login/domain and return the providers that can serve it
      */
-    async createEmail() {
+    async resolveCustomAddress({ login, domain } = {}) {
+        if (login !== undefined && !/^[a-z0-9][a-z0-9._-]{2,29}$/i.test(login)) {
+            throw new TempMailError(`Invalid login: ${login}`);
+        }
+
+        if (!domain) return this.getProviderOrder();
+
+        if (!isValidEmail(`${login || 'test'}@${domain}`)) {
+            throw new TempMailError(`Invalid domain: ${domain}`);
+        }
+
+        const providers = [];
+        for (const provider of this.getProviderOrder()) {
+            try {
+                const domains = provider.getDomains ? await provider.getDomains() : [];
+                if (domains.includes(domain)) providers.push(provider);
+            } catch (error) {
+                console.log(`[T3N Mail] ✗ ${provider.name} domains unavailable:`, error.message);
+            }
+        }
+
+        if (providers.length === 0) {
+            throw new TempMailError(`Domain not available: ${domain}`);
+        }
+
+        return providers;
+    }
+
+    /**
+     * Create new email with automatic provider fallback.
+     * Pass { login, domain } to request a specific address and
+     * { exclude: [providerId] } to avoid providers.
+     *
+     * A mailbox is only returned once its provider has answered a listing
+     * for it; otherwise an AllProvidersFailedError lists why each one failed.
+     */
+    async createEmail(options = {}) {
         if (!this.currentProvider) {
             await this.initialize();
         }
 
-        const providerOrder = ['secmail', 'mailtm', 'guerrilla'];
-        let lastError = null;
+        const login = options.login ? options.login.trim().toLowerCase() : undefined;
+        const domain = options.domain || undefined;
+        const exclude = options.exclude || [];
 
-        for (const providerName of providerOrder) {
-            const provider = this.providers[providerName];
+        // Providers known to be down are tried last
+        const providers = (await this.resolveCustomAddress({ login, domain }))
+            .filter(provider => !exclude.includes(provider.id))
+            .sort((a, b) => (this.health.getStatus(a.id) === 'down') - (this.health.getStatus(b.id) === 'down'));
+
+        const failures = [];
+
+        for (const provider of providers) {
+            if (this.getCircuitState(provider) === 'open') {
+                console.log(`[T3N Mail] ↷ Skipping ${provider.name} (circuit open)`);
+                const error = new ProviderUnavailableError(`${provider.name}: circuit open`, { provider: provider.name });
+                error.code = 'CIRCUIT_OPEN';
+                failures.push({ provider, error });
+                continue;
+            }
 
             try {
                 console.log(`[T3N Mail] Creating email with ${provider.name}...`);
-                const result = await provider.createEmail();
-
-                if (result && result.email && isValidEmail(result.email)) {
-                    this.currentProvider = provider;
-                    this.email = result.email;
-                    this.login = result.login;
-                    this.domain = result.domain;
-                    this.messages = [];
-                    this.messageCache.clear();
-                    this.stats.emailsCreated++;
-
-                    console.log(`[T3N Mail] ✓ Email created: ${this.email}`);
-                    return this.email;
+                const result = await this.trackRequest(provider, () => provider.createEmail({ login, domain }));
+                const session = result && this.toSession(provider, result);
+
+                if (login && session?.login !== login) {
+                    throw new TempMailError(`${provider.name} did not accept login ${login}`, { provider: provider.name });
                 }
+
+                if (!session?.address || !isValidEmail(session.address)) {
+                    throw new ProviderUnavailableError(`${provider.name} returned an invalid address`, { provider: provider.name });
+                }
+
+                // The provider has to serve the mailbox before anyone is given the address
+                const messages = await this.trackRequest(provider, () => provider.listMessages(session));
+
+                this.useProvider(provider, provider === providers[0] ? 'created' : 'fallback');
+                session.expiresAt = session.createdAt + this.lifetime;
+                this.addMailbox(session);
+                this.stats.emailsCreated++;
+
+                Object.assign(this.getMailbox(session.address), {
+                    messages: this.normalizeMessages(messages),
+                    lastRefresh: Date.now(),
+                    loaded: true
+                });
+
+                console.log(`[T3N Mail] ✓ Email created: ${this.email}`);
+                this.boostRefresh();
+                this.emit('email:created', { address: session.address, session, provider });
+                return this.email;
             } catch (error) {
                 console.log(`[T3N Mail] ✗ ${provider.name} failed:`, error.message);
-                lastError = error;
+                failures.push({ provider, error });
                 this.stats.providerSwitches++;
             }
         }
 
-        // Ultimate fallback - generate local email
-        this.login = generateRandomString(12);
-        this.domain = '1secmail.com';
-        this.email = `${this.login}@${this.domain}`;
-        this.currentProvider = this.providers.secmail;
-
-        console.log(`[T3N Mail] Using fallback email: ${this.email}`);
-        return this.email;
+        throw new AllProvidersFailedError(failures);
     }
 
     /**
-     * Get messages with caching
+     * Get messages of a mailbox (defaults to the active one) with caching
      */
-    async getMessages() {
+    async getMessages(address = this.activeAddress) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return [];
+
         // Prevent too frequent requests
         const now = Date.now();
-        if (now - this.lastRefresh < CONFIG.CACHE_DURATION) {
-            return this.messages;
+        if (now - mailbox.lastRefresh < CONFIG.CACHE_DURATION) {
+            return mailbox.messages;
         }
-        this.lastRefresh = now;
+        mailbox.lastRefresh = now;
 
-        if (!this.currentProvider || !this.login || !this.domain) {
-            return [];
-        }
+        const provider = this.getProvider(mailbox.session.providerId);
+        if (!provider) return [];
 
         try {
-            let messages = [];
-
-            if (this.currentProvider.name === '1secmail') {
-                messages = await this.currentProvider.getMessages(this.login, this.domain);
-            } else if (this.currentProvider.name === 'mail.tm') {
-                messages = await this.currentProvider.getMessages();
-            } else if (this.currentProvider.name === 'guerrillamail') {
-                messages = await this.currentProvider.getMessages();
+            const messages = await this.trackRequest(provider, () => provider.listMessages(mailbox.session));
+            return this.applyMessages(address, this.normalizeMessages(messages));
+
+        } catch (error) {
+            console.error(`[T3N Mail] Error fetching messages for ${address}:`, error);
+
+            if (error instanceof RateLimitedError || error.status === 503) {
+                this.scheduler.pause(provider.id, error.retryAfter ?? CONFIG.RATE_LIMIT_BACKOFF);
+                console.log(`[T3N Mail] ${provider.name} asked to back off, pausing polls`);
             }
 
-            // Normalize message format
-            this.messages = this.normalizeMessages(messages);
-            return this.messages;
+            this.reportError(error, 'getMessages', address);
+            return mailbox.messages;
+        }
+    }
+
+    /**
+     * Replace the message list of a mailbox with normalized messages, hiding deleted
+     * ones and applying local read state. New ones are announced with message:new;
+     * `remote` marks lists shared by another tab, which has archived them already.
+     */
+    applyMessages(address, messages, { remote = false } = {}) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return [];
 
-        } catch (error) {
-            console.error('[T3N Mail] Error fetching messages:', error);
-            return this.messages;
+        const known = new Set(mailbox.messages.map(message => String(message.id)));
+
+        mailbox.messages = messages.filter(message => !mailbox.deleted.has(String(message.id)));
+        mailbox.messages.forEach(message => {
+            if (message.seen) mailbox.read.add(String(message.id));
+            message.seen = mailbox.read.has(String(message.id));
+        });
+
+        const incoming = mailbox.messages.filter(message => !known.has(String(message.id)));
+        if (!remote) this.archiveMessages(address, incoming);
+
+        // Messages already there on the first listing are not announced
+        if (mailbox.loaded && incoming.length > 0 && this.mailboxes.has(address)) {
+            this.scheduler.recordActivity();
+            this.emit('message:new', { address, messages: incoming, remote });
         }
+        mailbox.loaded = true;
+
+        return mailbox.messages;
     }
 
     /**
@@ -458,105 +2275,500 @@ class TempMailManager {
 
         return messages.map(msg => {
             // Handle different provider formats
-            return {
+            const normalized = {
                 id: msg.id || msg.mail_id || msg['@id']?.split('/').pop(),
-                from: msg.from || msg.mail_from || msg.fromAddress,
+                from: this.normalizeSender(msg.from || msg.mail_from || msg.fromAddress),
                 subject: msg.subject || msg.mail_subject || '(بدون عنوان)',
                 date: msg.date || msg.mail_timestamp || msg.createdAt,
-                preview: msg.textBody?.substring(0, 100) || msg.mail_excerpt || ''
+                preview: msg.textBody?.substring(0, 100) || msg.intro || msg.mail_excerpt || '',
+                seen: msg.seen === true || String(msg.mail_read) === '1',
+                // mail.tm flags it, Guerrilla Mail counts them; 1secmail only tells once read
+                hasAttachments: msg.hasAttachments === true || Number(msg.att) > 0
             };
+
+            // Best guess from the summary until the full body is fetched
+            normalized.verification = extractVerificationData(normalized);
+            return normalized;
         });
     }
 
+    /**
+     * Sender as "Name <address>" text (mail.tm sends { name, address })
+     */
+    normalizeSender(from) {
+        if (!from || typeof from === 'string') return from || '';
+
+        const address = from.address || '';
+        return from.name && from.name !== address ? `${from.name} <${address}>` : address;
+    }
+
+    /**
+     * Headers of a full message as [{ name, value }]: the provider's own list
+     * when it sends one, otherwise rebuilt from the fields it does return
+     */
+    normalizeHeaders(message) {
+        if (Array.isArray(message.headers)) {
+            return message.headers.map(({ name, value }) => ({ name, value: String(value) }));
+        }
+        if (message.headers && typeof message.headers === 'object') {
+            return Object.entries(message.headers).flatMap(([name, value]) =>
+                [].concat(value).map(item => ({ name, value: String(item) })));
+        }
+
+        const addresses = list => [].concat(list || [])
+            .map(item => this.normalizeSender(item))
+            .filter(Boolean)
+            .join(', ');
+
+        return [
+            ['From', this.normalizeSender(message.from || message.mail_from || message.fromAddress)],
+            ['To', addresses(message.to || message.mail_recipient)],
+            ['Cc', addresses(message.cc)],
+            ['Bcc', addresses(message.bcc)],
+            ['Reply-To', addresses(message.replyTo || message.reply_to)],
+            ['Subject', message.subject || message.mail_subject],
+            ['Date', message.date || message.createdAt ||
+                (message.mail_timestamp && new Date(message.mail_timestamp * 1000).toUTCString())],
+            ['Message-ID', message.msgid || message.messageId]
+        ]
+            .filter(([, value]) => value)
+            .map(([name, value]) => ({ name, value: String(value) }));
+    }
+
+    /**
+     * Join HTML bodies split into parts (mail.tm returns an array)
+     */
+    normalizeHtml(html) {
+        if (Array.isArray(html)) return html.join('') || null;
+        return html || null;
+    }
+
+    /**
+     * Normalize attachment metadata from different providers
+     */
+    normalizeAttachments(attachments) {
+        if (!Array.isArray(attachments)) return [];
+
+        return attachments.map((attachment, index) => ({
+            id: attachment.id || attachment.filename || String(index),
+            filename: attachment.filename || attachment.name || `attachment-${index + 1}`,
+            contentType: attachment.contentType || attachment.mimeType || 'application/octet-stream',
+            size: Number(attachment.size) || 0
+        }));
+    }
+
+    /**
+     * Whether the provider of a mailbox can download attachments
+     */
+    canDownloadAttachments(address = this.activeAddress) {
+        const mailbox = this.getMailbox(address);
+        return Boolean(mailbox && this.getProvider(mailbox.session.providerId)?.getAttachment);
+    }
+
+    /**
+     * Download an attachment of a message in an open mailbox
+     */
+    async getAttachment(messageId, attachment, address = this.activeAddress) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) throw new TempMailError(`Mailbox not open: ${address}`);
+
+        const provider = this.getProvider(mailbox.session.providerId);
+        if (!provider?.getAttachment) {
+            throw new ProviderUnavailableError(`${provider?.name || 'Provider'} does not support attachment downloads`, {
+                provider: provider?.name || null
+            });
+        }
+
+        const blob = await provider.getAttachment(mailbox.session, messageId, attachment);
+
+        // Trust the metadata over a generic response type
+        return blob.type && blob.type !== 'application/octet-stream'
+            ? blob
+            : new Blob([blob], { type: attachment.contentType });
+    }
+
+    /**
+     * Raw source of a message with its parsed headers,
+     * or null when the provider has no source endpoint
+     */
+    async getSource(messageId, address = this.activeAddress) {
+        const mailbox = this.getMailbox(address);
+        const provider = mailbox && this.getProvider(mailbox.session.providerId);
+        if (!provider?.getSource) return null;
+
+        const raw = await this.trackRequest(provider, () => provider.getSource(mailbox.session, messageId));
+        return raw ? { raw, headers: parseRawHeaders(raw) } : null;
+    }
+
     /**
      * Get single message with caching
      */
-    async getMessage(messageId) {
+    async getMessage(messageId, address = this.activeAddress) {
         // Check cache first
-        if (this.messageCache.has(messageId)) {
-            return this.messageCache.get(messageId);
+        const key = this.cacheKey(address, messageId);
+        if (this.messageCache.has(key)) {
+            return this.messageCache.get(key);
         }
 
-        if (!this.currentProvider) {
+        const mailbox = this.getMailbox(address);
+        const provider = mailbox && this.getProvider(mailbox.session.providerId);
+        if (!provider) {
             return null;
         }
 
         try {
-            let message = null;
-
-            if (this.currentProvider.name === '1secmail') {
-                message = await this.currentProvider.getMessage(this.login, this.domain, messageId);
-            } else if (this.currentProvider.name === 'mail.tm') {
-                message = await this.currentProvider.getMessage(messageId);
-            } else if (this.currentProvider.name === 'guerrillamail') {
-                message = await this.currentProvider.getMessage(messageId);
-            }
+            const message = await this.trackRequest(provider, () => provider.readMessage(mailbox.session, messageId));
 
             if (message) {
                 // Normalize message format
                 const normalized = {
                     id: message.id || messageId,
-                    from: message.from || message.mail_from || message.fromAddress,
+                    from: this.normalizeSender(message.from || message.mail_from || message.fromAddress),
                     subject: message.subject || message.mail_subject || '(بدون عنوان)',
                     date: message.date || message.mail_timestamp || message.createdAt,
                     body: message.body || message.mail_body || message.text,
                     textBody: message.textBody || message.body || message.mail_body,
-                    htmlBody: message.htmlBody || message.html || null,
-                    attachments: message.attachments || []
+                    htmlBody: this.normalizeHtml(message.htmlBody || message.html),
+                    attachments: this.normalizeAttachments(message.attachments),
+                    headers: this.normalizeHeaders(message),
+                    seen: mailbox.read.has(String(message.id || messageId))
                 };
+                normalized.verification = extractVerificationData(normalized);
 
                 // Cache the message
-                this.messageCache.set(messageId, normalized);
+                this.messageCache.set(key, normalized);
+                this.archiveMessages(address, [normalized]);
                 this.stats.messagesReceived++;
 
                 return normalized;
             }
         } catch (error) {
             console.error('[T3N Mail] Error fetching message:', error);
+            this.reportError(error, 'getMessage', address);
+            throw error;
         }
 
         return null;
     }
 
     /**
-     * Refresh email (create new one)
+     * Mark a message as read locally and, where supported, on the provider
      */
-    async refreshEmail() {
+    async markRead(messageId, address = this.activeAddress) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return false;
+
+        const id = String(messageId);
+        const alreadyRead = mailbox.read.has(id);
+        mailbox.read.add(id);
+
+        mailbox.messages.forEach(message => {
+            if (String(message.id) === id) message.seen = true;
+        });
+
+        const cached = this.messageCache.get(this.cacheKey(address, id));
+        if (cached) cached.seen = true;
+
+        const provider = this.getProvider(mailbox.session.providerId);
+        if (!alreadyRead && provider?.markRead) {
+            try {
+                await provider.markRead(mailbox.session, messageId);
+            } catch (error) {
+                // Local state is what the UI shows - the provider flag is best effort
+                console.error(`[T3N Mail] Error marking ${id} read on ${provider.name}:`, error);
+                this.reportError(error, 'markRead', address);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete a message from a mailbox. Providers without a delete endpoint
+     * keep the message, so it stays hidden locally instead.
+     * The archived copy is kept.
+     */
+    async deleteMessage(messageId, address = this.activeAddress) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return false;
+
+        const provider = this.getProvider(mailbox.session.providerId);
+        let removed = false;
+        try {
+            removed = provider ? await provider.deleteMessage(mailbox.session, messageId) : false;
+        } catch (error) {
+            // Already gone on the provider - just drop it locally
+            if (!(error instanceof MessageNotFoundError)) throw error;
+        }
+
+        const id = String(messageId);
+        if (!removed) mailbox.deleted.add(id);
+
+        mailbox.read.delete(id);
+        mailbox.messages = mailbox.messages.filter(message => String(message.id) !== id);
+        this.messageCache.delete(this.cacheKey(address, id));
+
+        console.log(`[T3N Mail] Message ${id} deleted ${removed ? `on ${provider.name}` : 'locally'}`);
+        return true;
+    }
+
+    /**
+     * Get an already fetched full message without a network request
+     */
+    getCachedMessage(messageId, address = this.activeAddress) {
+        return this.messageCache.get(this.cacheKey(address, messageId)) || null;
+    }
+
+    /**
+     * Cache full messages another tab fetched
+     */
+    cacheMessages(address, messages) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox || !Array.isArray(messages)) return;
+
+        messages.forEach(message => {
+            message.seen = mailbox.read.has(String(message.id));
+            this.messageCache.set(this.cacheKey(address, message.id), message);
+        });
+    }
+
+    /**
+     * Fetch full bodies of messages that are not cached yet
+     */
+    async prefetchMessages(messages, address = this.activeAddress) {
+        for (const message of messages) {
+            const key = this.cacheKey(address, message.id);
+            if (this.messageCache.has(key) || this.prefetching.has(key)) continue;
+
+            this.prefetching.add(key);
+            try {
+                await this.getMessage(message.id, address);
+            } catch (error) {
+                // Already reported; the message is fetched again when opened
+            } finally {
+                this.prefetching.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Copy messages to the local archive in the background
+     */
+    archiveMessages(address, messages) {
+        if (!this.archive || messages.length === 0) return;
+
+        this.archive.putMany(address, messages).catch(error => {
+            console.error('[T3N Mail] Error archiving messages:', error);
+            this.reportError(error, 'archive', address);
+        });
+    }
+
+    /**
+     * Refresh email (replace the active mailbox with a new one)
+     */
+    async refreshEmail(options = {}) {
         this.stopAutoRefresh();
-        this.messages = [];
-        this.messageCache.clear();
-        return await this.createEmail();
+
+        const previous = this.activeAddress;
+        const email = await this.createEmail(options);
+
+        if (previous && previous !== email) {
+            this.removeMailbox(previous);
+            this.switchMailbox(email);
+        }
+
+        return email;
     }
 
     /**
-     * Start auto-refresh for messages
+     * Start auto-refresh for messages of all open mailboxes.
+     * The optional callback receives (messages, address) once per mailbox;
+     * new mail is also announced through the message:new event.
      */
     startAutoRefresh(callback, interval = CONFIG.DEFAULT_REFRESH_INTERVAL) {
         this.stopAutoRefresh();
+        this.refreshCallback = callback || null;
 
-        // Clamp interval
-        interval = Math.max(CONFIG.MIN_REFRESH_INTERVAL,
-            Math.min(interval, CONFIG.MAX_REFRESH_INTERVAL));
+        // Base rate; the scheduler speeds up and slows down around it
+        this.scheduler.setBase(interval);
 
-        this.refreshInterval = setInterval(async () => {
-            try {
-                const messages = await this.getMessages();
-                if (callback) callback(messages);
-            } catch (error) {
-                console.error('[T3N Mail] Auto-refresh error:', error);
+        [...this.mailboxes.keys()].forEach(address => this.openStream(address));
+        this.scheduleRefresh();
+
+        console.log(`[T3N Mail] Auto-refresh started (${this.scheduler.base}ms base)`);
+    }
+
+    /**
+     * Queue the next poll at the interval the scheduler picks
+     */
+    scheduleRefresh(delay = this.scheduler.getInterval()) {
+        clearTimeout(this.refreshInterval);
+        this.nextRefreshAt = Date.now() + delay;
+
+        this.refreshInterval = setTimeout(async () => {
+            await Promise.all([...this.mailboxes.keys()].map(address => {
+                // Mailboxes with a live stream are refreshed by its events
+                this.openStream(address);
+                if (this.getTransport(address) === 'push') return null;
+
+                const providerId = this.getMailbox(address)?.session.providerId;
+                return this.scheduler.getPauseRemaining(providerId) > 0 ? null : this.refreshMailbox(address);
+            }));
+
+            // Not stopped (or restarted) while polling
+            if (this.refreshInterval && Date.now() >= this.nextRefreshAt) this.scheduleRefresh();
+        }, delay);
+
+        this.emit('poll:state', { mode: this.scheduler.getMode(), interval: delay });
+    }
+
+    /**
+     * Poll fast for a while (after creating or copying an address)
+     */
+    boostRefresh() {
+        this.scheduler.boost();
+
+        // Don't wait out a long idle delay
+        if (this.refreshInterval && this.nextRefreshAt - Date.now() > this.scheduler.min) {
+            this.scheduleRefresh(this.scheduler.min);
+        }
+    }
+
+    /**
+     * Polling state of a mailbox for display:
+     * { mode: 'push' | 'paused' | 'boost' | 'normal' | 'idle' | 'stopped', interval, resumeIn }
+     */
+    getPollState(address = this.activeAddress) {
+        const mailbox = this.getMailbox(address);
+        if (!this.refreshInterval || !mailbox) return { mode: 'stopped', interval: null, resumeIn: 0 };
+
+        if (this.getTransport(address) === 'push') return { mode: 'push', interval: null, resumeIn: 0 };
+
+        const resumeIn = this.scheduler.getPauseRemaining(mailbox.session.providerId);
+        return {
+            mode: resumeIn > 0 ? 'paused' : this.scheduler.getMode(),
+            interval: this.scheduler.getInterval(),
+            resumeIn
+        };
+    }
+
+    /**
+     * Fetch a mailbox and hand the result to the auto-refresh callback
+     */
+    async refreshMailbox(address) {
+        try {
+            const messages = await this.getMessages(address);
+            if (this.refreshCallback && this.mailboxes.has(address)) this.refreshCallback(messages, address);
+        } catch (error) {
+            console.error('[T3N Mail] Auto-refresh error:', error);
+            this.reportError(error, 'autoRefresh', address);
+        }
+    }
+
+    /**
+     * How a mailbox is kept up to date: 'push' or 'polling'
+     */
+    getTransport(address = this.activeAddress) {
+        return this.getMailbox(address)?.stream ? 'push' : 'polling';
+    }
+
+    /**
+     * Open the provider's push stream for a mailbox if it has one.
+     * A failed stream falls back to polling and is retried later.
+     */
+    async openStream(address) {
+        const mailbox = this.getMailbox(address);
+        const provider = mailbox && this.getProvider(mailbox.session.providerId);
+        if (!provider?.openStream || mailbox.stream || mailbox.streamRetryAt > Date.now()) return;
+
+        // Block parallel attempts until this one settles
+        mailbox.streamRetryAt = Infinity;
+        const abort = new AbortController();
+        mailbox.streamAbort = abort;
+
+        const fallBack = error => {
+            mailbox.stream = null;
+            mailbox.streamRetryAt = Date.now() + CONFIG.PUSH_RETRY_DELAY;
+            console.log(`[T3N Mail] Push unavailable for ${address}, polling instead:`, error?.message);
+        };
+
+        try {
+            if (provider.resumeSession) await provider.resumeSession(mailbox.session);
+
+            let stream = null;
+            let earlyError = null;
+
+            stream = await provider.openStream(mailbox.session, {
+                signal: abort.signal,
+                onEvent: () => {
+                    // Skip the request throttle - the event means something changed
+                    mailbox.lastRefresh = 0;
+                    this.refreshMailbox(address);
+                },
+                onError: error => {
+                    if (!stream) earlyError = error;
+                    else if (mailbox.stream === stream) fallBack(error);
+                }
+            });
+
+            if (earlyError) throw earlyError;
+
+            // Closed or stopped while connecting
+            if (abort.signal.aborted || !this.refreshInterval || this.getMailbox(address) !== mailbox) {
+                stream.close();
+                mailbox.streamRetryAt = 0;
+                return;
             }
-        }, interval);
 
-        console.log(`[T3N Mail] Auto-refresh started (${interval}ms)`);
+            mailbox.stream = stream;
+            mailbox.streamRetryAt = 0;
+            console.log(`[T3N Mail] Push connected for ${address}`);
+
+            // Catch up on anything that arrived before the stream opened
+            mailbox.lastRefresh = 0;
+            this.refreshMailbox(address);
+        } catch (error) {
+            if (abort.signal.aborted) {
+                mailbox.streamRetryAt = 0;
+            } else {
+                fallBack(error);
+            }
+        } finally {
+            if (mailbox.streamAbort === abort) mailbox.streamAbort = null;
+        }
+    }
+
+    /**
+     * Close the push stream of a mailbox, or cancel it while it connects
+     */
+    closeStream(address) {
+        const mailbox = this.getMailbox(address);
+        if (!mailbox) return;
+
+        if (mailbox.streamAbort) {
+            mailbox.streamAbort.abort();
+            mailbox.streamAbort = null;
+            mailbox.streamRetryAt = 0;
+        }
+
+        if (!mailbox.stream) return;
+
+        const { stream } = mailbox;
+        mailbox.stream = null;
+        mailbox.streamRetryAt = 0;
+        stream.close();
     }
 
     /**
      * Stop auto-refresh
      */
     stopAutoRefresh() {
+        [...this.mailboxes.keys()].forEach(address => this.closeStream(address));
+
         if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
+            clearTimeout(this.refreshInterval);
             this.refreshInterval = null;
+            this.emit('poll:state', { mode: 'stopped', interval: null });
             console.log('[T3N Mail] Auto-refresh stopped');
         }
     }
@@ -609,6 +2821,14 @@ class TempMailManager {
     }
 }
 
+// Provider registry shared by all managers
+TempMailManager.registry = new Map();
+
+// Built-in providers
+TempMailManager.registerProvider(new SecMailProvider(), { priority: 10 });
+TempMailManager.registerProvider(new MailTmProvider(), { priority: 20 });
+TempMailManager.registerProvider(new GuerrillaMailProvider(), { priority: 30 });
+
 // ========================================
 // Legacy API Compatibility Layer
 // ========================================
@@ -661,12 +2881,33 @@ class SecMailAPI {
     }
 }
 
-// Export all APIs
-window.TempMailManager = TempMailManager;
-window.SecMailAPI = SecMailAPI;
-window.SecMailProvider = SecMailProvider;
-window.MailTmProvider = MailTmProvider;
-window.GuerrillaMailProvider = GuerrillaMailProvider;
+// Export all APIs (to the page, or to the service worker that imports this file)
+const exportScope = typeof window !== 'undefined' ? window : self;
+
+exportScope.CONFIG = CONFIG;
+exportScope.TempMailManager = TempMailManager;
+exportScope.MailboxSession = MailboxSession;
+exportScope.MessageArchive = MessageArchive;
+exportScope.TempMailError = TempMailError;
+exportScope.NetworkError = NetworkError;
+exportScope.TimeoutError = TimeoutError;
+exportScope.RateLimitedError = RateLimitedError;
+exportScope.AuthError = AuthError;
+exportScope.ProviderUnavailableError = ProviderUnavailableError;
+exportScope.MessageNotFoundError = MessageNotFoundError;
+exportScope.AllProvidersFailedError = AllProvidersFailedError;
+exportScope.EventStream = EventStream;
+exportScope.PollScheduler = PollScheduler;
+exportScope.TabSync = TabSync;
+exportScope.HealthMonitor = HealthMonitor;
+exportScope.CircuitBreaker = CircuitBreaker;
+exportScope.circuitBreaker = circuitBreaker;
+exportScope.extractVerificationData = extractVerificationData;
+exportScope.htmlToText = htmlToText;
+exportScope.SecMailAPI = SecMailAPI;
+exportScope.SecMailProvider = SecMailProvider;
+exportScope.MailTmProvider = MailTmProvider;
+exportScope.GuerrillaMailProvider = GuerrillaMailProvider;
 
 // Console branding
 console.log('%c[T3N Mail API] v3.0 - Multi-Provider System Loaded',
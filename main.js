@@ -14,16 +14,82 @@
 // Global Variables & State
 // ========================================
 let mailManager = null;
+let tabSync = null; // shares mailboxes with other open tabs; only the leader tab polls
+let installPrompt = null; // deferred beforeinstallprompt event
+let createdOnLaunch = false; // this page load had no mailbox and created one
 let timerInterval = null;
-let timeRemaining = 600; // 10 minutes
 let notificationSound = null;
-let previousMessageCount = 0;
-let isFirstLoad = true;
 let connectionStatus = 'connecting';
 
+// Per-mailbox UI state: address -> { newIds, unread, isFirstLoad, isExpiring, isWarned, listing }
+const mailboxState = new Map();
+
+// Mailbox offered for migration in the failover notice: { providerId, address }
+let failoverTarget = null;
+
+// Mailbox the expiry warning dialog is about
+let expiryAddress = null;
+
+// Saved mailboxes that could not be restored yet (offline, provider down):
+// kept in storage and retried. [{ session, messageState }]
+let pendingMailboxes = [];
+
+// Message shown in the modal and the object URLs created for its attachments
+let modalContext = null;
+let attachmentUrls = [];
+
+// Messages whose remote images the user chose to load: "address:id"
+const imagesAllowed = new Set();
+
+// Inbox search box, filter toggles and sort order (newest | oldest | sender)
+const inboxFilters = { query: '', code: false, attachment: false, unread: false, sort: 'newest' };
+
+// Lower-cased search text per cached message body
+const searchText = new WeakMap();
+
 // DOM Elements Cache
 const elements = {};
 
+// User-facing text per API error class (see the Errors section of api.js)
+const ERROR_MESSAGES = {
+    NetworkError: {
+        ar: 'تعذر الاتصال بالخادم، تحقق من اتصالك بالإنترنت',
+        en: 'Could not reach the server, check your connection'
+    },
+    TimeoutError: {
+        ar: 'انتهت مهلة الاتصال بالخادم',
+        en: 'The server took too long to respond'
+    },
+    RateLimitedError: {
+        ar: 'تجاوزت حد الطلبات، انتظر قليلاً ثم حاول مجدداً',
+        en: 'Too many requests, wait a moment and try again'
+    },
+    AuthError: {
+        ar: 'انتهت صلاحية جلسة البريد، أنشئ بريداً جديداً',
+        en: 'The mailbox session expired, create a new address'
+    },
+    ProviderUnavailableError: {
+        ar: 'خدمة البريد غير متاحة حالياً',
+        en: 'The mail service is currently unavailable'
+    },
+    MessageNotFoundError: {
+        ar: 'الرسالة غير موجودة، ربما حُذفت أو انتهت صلاحيتها',
+        en: 'The message no longer exists, it may have been deleted or expired'
+    },
+    AllProvidersFailedError: {
+        ar: 'كل مزودي البريد لا يستجيبون حالياً، حاول مرة أخرى',
+        en: 'No mail provider is responding right now, try again'
+    },
+    CIRCUIT_OPEN: {
+        ar: 'متوقف مؤقتاً بعد أعطال متكررة',
+        en: 'Paused after repeated failures'
+    },
+    default: {
+        ar: 'حدث خطأ غير متوقع',
+        en: 'Something went wrong'
+    }
+};
+
 // ========================================
 // Initialization
 // ========================================
@@ -41,6 +107,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize email service
         await initEmailService();
 
+        // Offline shell and background inbox checks
+        registerServiceWorker();
+        initInstallPrompt();
+
+        // App shortcuts and notifications opened in a new window
+        handleLaunchParams();
+
         // Setup event listeners
         setupEventListeners();
 
@@ -83,10 +156,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 function cacheElements() {
     const elementIds = [
         'loadingScreen', 'emailAddress', 'copyEmail', 'refreshEmail',
-        'emailTimer', 'inboxEmpty', 'inboxList', 'refreshInbox',
-        'navbar', 'navToggle', 'navMenu', 'emailModal', 'modalClose',
+        'emailTimer', 'extendTimer', 'keepAlive', 'lifetimeSelect',
+        'expiryDialog', 'expiryText', 'expiryExtend', 'expiryKeepAlive', 'expiryRotate', 'expiryDismiss',
+        'inboxEmpty', 'inboxList', 'refreshInbox', 'pollStatus',
+        'inboxToolbar', 'inboxSearch', 'inboxFilters', 'inboxSort', 'inboxNoResults',
+        'emailError', 'emailErrorList', 'retryEmail',
+        'healthStatus', 'failoverNotice', 'failoverText', 'failoverAccept', 'failoverAuto', 'failoverDismiss',
+        'mailboxList', 'addMailbox', 'customLogin', 'customDomain', 'createCustomEmail',
+        'navbar', 'navToggle', 'navMenu', 'installApp', 'emailModal', 'modalClose',
         'modalFrom', 'modalFromEmail', 'modalDate', 'modalSubject',
-        'modalBody', 'toast', 'toastMessage'
+        'modalBody', 'modalAttachments', 'modalTabs', 'modalSource', 'toast', 'toastMessage',
+        'openArchive', 'archiveModal', 'archiveClose', 'archiveSearch', 'archiveClear', 'archiveList'
     ];
 
     elementIds.forEach(id => {
@@ -95,7 +175,9 @@ function cacheElements() {
 
     elements.faqItems = document.querySelectorAll('.faq-item');
     elements.navLinks = document.querySelectorAll('.nav-link');
-    elements.modalOverlay = document.querySelector('.modal-overlay');
+    elements.modal = elements.emailModal;
+    elements.modalOverlay = document.querySelector('#emailModal .modal-overlay');
+    elements.archiveOverlay = document.querySelector('#archiveModal .modal-overlay');
 }
 
 /**
@@ -139,22 +221,163 @@ function requestNotificationPermission() {
 /**
  * Show browser notification
  */
-function showBrowserNotification(title, body) {
+function showBrowserNotification(title, body, { address, messageId } = {}) {
     if ('Notification' in window && Notification.permission === 'granted') {
         try {
-            new Notification(title, {
+            const notification = new Notification(title, {
                 body: body,
                 icon: 'assets/favicon.png',
                 badge: 'assets/favicon.png',
                 tag: 't3n-mail-notification',
                 requireInteraction: false
             });
+
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                if (messageId) openNotifiedMessage(address, messageId);
+            };
         } catch (e) {
             // Notification failed
         }
     }
 }
 
+/**
+ * Open a message a notification was about, switching to its mailbox first
+ */
+function openNotifiedMessage(address, messageId) {
+    if (!mailManager || !messageId) return;
+
+    if (address && address !== mailManager.activeAddress) {
+        if (!mailManager.getMailbox(address)) {
+            showToast('انتهت صلاحية هذا البريد');
+            return;
+        }
+        switchMailbox(address);
+    }
+
+    document.getElementById('inbox')?.scrollIntoView({ behavior: 'smooth' });
+    openMessage(messageId);
+}
+
+/**
+ * Act on ?action= (app shortcuts) and ?message= (notification clicks)
+ */
+function handleLaunchParams() {
+    const params = new URLSearchParams(window.location.search);
+    if ([...params.keys()].length === 0) return;
+
+    const action = params.get('action');
+    if (action === 'new') {
+        // Add an address next to the open ones; a cold launch already made a fresh one
+        if (!createdOnLaunch) addMailbox();
+    } else if (action === 'inbox') {
+        document.getElementById('inbox')?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    if (params.get('message')) {
+        openNotifiedMessage(params.get('address'), params.get('message'));
+    }
+
+    // A reload shouldn't repeat the action
+    history.replaceState(null, '', window.location.pathname + window.location.hash);
+}
+
+/**
+ * Offer to install the app once the browser allows it
+ */
+function initInstallPrompt() {
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        installPrompt = e;
+        if (elements.installApp) elements.installApp.classList.remove('hidden');
+    });
+
+    window.addEventListener('appinstalled', () => {
+        installPrompt = null;
+        if (elements.installApp) elements.installApp.classList.add('hidden');
+        showToast('تم تثبيت T3N Mail ✓');
+    });
+
+    if (elements.installApp) {
+        elements.installApp.addEventListener('click', async () => {
+            if (!installPrompt) return;
+
+            installPrompt.prompt();
+            await installPrompt.userChoice;
+            installPrompt = null;
+            elements.installApp.classList.add('hidden');
+        });
+    }
+}
+
+/**
+ * Register the service worker and its periodic inbox check
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // Notification clicks handled by the worker while this tab is open
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        const { type, address, messageId } = event.data || {};
+        if (type === 'open-message') openNotifiedMessage(address, messageId);
+    });
+
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+        await registerPeriodicCheck(registration);
+        shareStateWithWorker();
+    } catch (error) {
+        console.error('[T3N Mail] Service worker registration failed:', error);
+    }
+}
+
+async function registerPeriodicCheck(registration) {
+    if (!('periodicSync' in registration)) return;
+
+    try {
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') return;
+
+        await registration.periodicSync.register('t3n-inbox-check', {
+            minInterval: CONFIG.BACKGROUND_CHECK_INTERVAL
+        });
+    } catch (error) {
+        console.warn('[T3N Mail] Periodic background sync unavailable:', error);
+    }
+}
+
+/**
+ * Mailboxes the service worker was checking, for a window opened from its notification
+ */
+function requestWorkerState() {
+    const worker = navigator.serviceWorker?.controller;
+    if (!worker) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), CONFIG.TAB_REQUEST_TIMEOUT);
+
+        channel.port1.onmessage = event => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+        worker.postMessage({ type: 'state:request' }, [channel.port2]);
+    });
+}
+
+/**
+ * Hand the open mailboxes and the messages already listed to the service worker
+ */
+function shareStateWithWorker() {
+    if (!('serviceWorker' in navigator) || !mailManager) return;
+
+    navigator.serviceWorker.ready
+        .then(registration => registration.active?.postMessage({ type: 'state', state: getSharedState() }))
+        .catch(error => console.warn('[T3N Mail] Could not reach the service worker:', error));
+}
+
 /**
  * Initialize particles.js background
  */
@@ -205,66 +428,309 @@ function initParticles() {
 async function initEmailService() {
     // Create mail manager
     mailManager = new TempMailManager();
+    mailManager.on('message:new', notifyNewMessages);
+    mailManager.on('email:created', ({ address }) => {
+        getMailboxState(address);
+        saveSession();
+    });
+    mailManager.on('provider:switched', ({ to, reason }) => {
+        if (reason === 'fallback') {
+            showToast(`المزود الأساسي غير متاح، تم التبديل إلى ${to.name}`);
+        }
+    });
+    mailManager.on('poll:state', renderPollStatus);
+    mailManager.on('health:changed', renderHealthStatus);
+    mailManager.on('provider:unhealthy', ({ provider, mailboxes }) => {
+        if (mailManager.failoverPolicy === 'prompt' && mailboxes.length > 0) {
+            showFailoverNotice(provider, mailboxes);
+        }
+    });
+    mailManager.on('provider:recovered', ({ provider }) => {
+        if (failoverTarget?.providerId === provider.id) hideFailoverNotice();
+        retryPendingMailboxes();
+    });
+    mailManager.on('mailbox:migrated', ({ from, to, provider }) => {
+        mailboxState.delete(from);
+        saveSession();
+        showActiveMailbox();
+        showToast(`${provider?.name || 'المزود'} متعطل، تم نقل ${from} إلى ${to}`, 5000);
+    });
+
+    const savedPolicy = localStorage.getItem('t3n_failover_policy');
+    if (['prompt', 'auto', 'off'].includes(savedPolicy)) mailManager.failoverPolicy = savedPolicy;
+
+    const savedLifetime = Number(localStorage.getItem('t3n_lifetime'));
+    if (savedLifetime) mailManager.setLifetime(savedLifetime);
+    if (elements.lifetimeSelect) elements.lifetimeSelect.value = String(mailManager.lifetime);
 
     // Initialize providers
     await mailManager.initialize();
+    initTabSync();
+
+    // Restore saved mailboxes, join the ones open in other tabs, or start with a fresh one
+    const restored = await restoreMailboxes();
+    const openedFromNotification = new URLSearchParams(window.location.search).has('message');
+    const shared = (tabSync ? await tabSync.request('state:request') : null) ||
+        (restored === 0 && openedFromNotification ? await requestWorkerState() : null);
+
+    if (shared?.mailboxes?.length > 0) {
+        applySharedState(shared, { prune: false });
+        // Tell the other tabs about mailboxes only this one had
+        if (restored > 0) saveSession();
+    } else if (restored === 0) {
+        try {
+            await createNewEmail();
+            createdOnLaunch = true;
+        } catch (error) {
+            // Offline: the hero box shows the reasons and a retry button
+            connectionStatus = 'offline';
+        }
+    }
 
-    // Check for saved session
-    const savedEmail = sessionStorage.getItem('t3n_email');
-    const savedLogin = sessionStorage.getItem('t3n_login');
-    const savedDomain = sessionStorage.getItem('t3n_domain');
-    const savedTime = sessionStorage.getItem('t3n_time');
-    const savedProvider = sessionStorage.getItem('t3n_provider');
-
-    if (savedEmail && savedLogin && savedDomain && savedTime) {
-        const elapsed = Math.floor((Date.now() - parseInt(savedTime)) / 1000);
-
-        if (elapsed < 600) {
-            // Restore session
-            mailManager.email = savedEmail;
-            mailManager.login = savedLogin;
-            mailManager.domain = savedDomain;
-            timeRemaining = 600 - elapsed;
-
-            if (elements.emailAddress) {
-                elements.emailAddress.value = savedEmail;
-            }
+    showActiveMailbox();
+    populateDomains();
+
+    // Followers get their messages from the leader tab
+    if (!isPollingTab()) return;
+
+    // Start auto-refresh and background health checks
+    startPolling();
+
+    // Initial message check
+    try {
+        await Promise.all(mailManager.getMailboxes().map(async session => {
+            const messages = await mailManager.getMessages(session.address);
+            handleNewMessages(messages, session.address);
+        }));
+    } catch (error) {
+        console.error('[T3N Mail] Initial message check failed:', error);
+    }
+}
+
+/**
+ * Join the other open tabs: one leader polls and shares what it receives
+ */
+function initTabSync() {
+    if (!TabSync.isSupported()) return;
 
-            console.log('[T3N Mail] Session restored:', savedEmail);
+    tabSync = new TabSync();
+
+    tabSync.on('leader', ({ isLeader }) => {
+        if (isLeader) {
+            startPolling();
+            if (mailManager.session) refreshInbox();
         } else {
-            // Session expired
-            await createNewEmail();
+            stopPolling();
+        }
+        renderPollStatus();
+    });
+
+    tabSync.on('state:request', (payload, message) => {
+        if (mailManager.getMailboxes().length === 0) return;
+
+        tabSync.reply(message, getSharedState());
+        if (tabSync.isLeader) mailManager.getMailboxes().forEach(({ address }) => shareBodies(address));
+    });
+    tabSync.on('state', payload => applySharedState(payload));
+
+    tabSync.on('messages', ({ address, messages }) => {
+        if (!mailManager.getMailbox(address)) return;
+        handleNewMessages(mailManager.applyMessages(address, messages, { remote: true }), address);
+    });
+
+    tabSync.on('bodies', ({ address, messages }) => {
+        mailManager.cacheMessages(address, messages);
+        if (address === mailManager.activeAddress) renderInbox(mailManager.messages, false);
+    });
+
+    tabSync.setEligible(!document.hidden);
+    tabSync.start();
+}
+
+/**
+ * Whether this tab polls the providers itself
+ */
+function isPollingTab() {
+    return !tabSync || tabSync.isLeader;
+}
+
+function startPolling() {
+    if (!mailManager || !isPollingTab()) return;
+
+    mailManager.startAutoRefresh(handleNewMessages);
+    mailManager.startHealthMonitor();
+}
+
+function stopPolling() {
+    if (!mailManager) return;
+
+    mailManager.stopAutoRefresh();
+    mailManager.stopHealthMonitor();
+}
+
+/**
+ * Mailboxes, read state and messages as shared with other tabs
+ */
+function getSharedState() {
+    const messageState = {};
+    const messages = {};
+
+    mailManager.getMailboxes().forEach(session => {
+        messageState[session.address] = mailManager.getMessageState(session.address);
+        messages[session.address] = mailManager.getMailbox(session.address).messages;
+    });
+
+    return {
+        mailboxes: mailManager.getMailboxes().map(session => session.toJSON()),
+        active: mailManager.activeAddress,
+        messageState,
+        messages
+    };
+}
+
+/**
+ * Take over the state another tab shared; `prune` closes mailboxes it no longer has
+ */
+function applySharedState({ mailboxes = [], active, messageState = {}, messages = {} }, { prune = true } = {}) {
+    const previous = mailManager.activeAddress;
+    mailManager.syncMailboxes(mailboxes, active, { prune });
+
+    mailManager.getMailboxes().forEach(session => {
+        const { address } = session;
+        mailManager.setMessageState(address, messageState[address]);
+        if (messages[address]) mailManager.applyMessages(address, messages[address], { remote: true });
+
+        const state = getMailboxState(address);
+        if (state.isWarned && getTimeRemaining(session) * 1000 > CONFIG.EXPIRY_WARNING) {
+            state.isWarned = false;
+            if (expiryAddress === address) hideExpiryDialog();
         }
+    });
+
+    [...mailboxState.keys()]
+        .filter(address => !mailManager.getMailbox(address))
+        .forEach(address => mailboxState.delete(address));
+    if (expiryAddress && !mailManager.getMailbox(expiryAddress)) hideExpiryDialog();
+
+    saveSession({ share: false });
+
+    if (mailManager.activeAddress !== previous) {
+        showActiveMailbox();
     } else {
-        await createNewEmail();
+        handleNewMessages(mailManager.messages, mailManager.activeAddress);
+        updateTimerDisplay();
     }
+}
 
-    // Start auto-refresh
-    mailManager.startAutoRefresh(handleNewMessages, 3000);
+/**
+ * Restore mailboxes saved in this tab, returns how many are open
+ */
+async function restoreMailboxes() {
+    let saved = [];
 
-    // Initial message check
     try {
-        const messages = await mailManager.getMessages();
-        handleNewMessages(messages);
-        isFirstLoad = false;
+        saved = JSON.parse(sessionStorage.getItem('t3n_mailboxes') || '[]');
     } catch (error) {
-        console.error('[T3N Mail] Initial message check failed:', error);
+        console.error('[T3N Mail] Corrupted saved mailboxes:', error);
+    }
+
+    const sessions = saved.map(data => MailboxSession.fromJSON(data))
+        .filter(session => !session.isExpired());
+
+    let messageState = {};
+    try {
+        messageState = JSON.parse(sessionStorage.getItem('t3n_message_state') || '{}');
+    } catch (error) {
+        console.error('[T3N Mail] Corrupted saved message state:', error);
+    }
+
+    for (const session of sessions) {
+        try {
+            await mailManager.restoreSession(session);
+            mailManager.setMessageState(session.address, messageState[session.address]);
+            getMailboxState(session.address);
+        } catch (error) {
+            console.error(`[T3N Mail] Could not restore ${session.address}:`, error);
+
+            // Only a rejected login loses the mailbox; anything else is retried later
+            if (!(error instanceof AuthError)) {
+                pendingMailboxes.push({ session, messageState: messageState[session.address] });
+            }
+        }
+    }
+
+    const savedActive = sessionStorage.getItem('t3n_active');
+    if (savedActive) mailManager.switchMailbox(savedActive);
+
+    return mailManager.getMailboxes().length;
+}
+
+/**
+ * Try again to restore the saved mailboxes that failed on load
+ */
+async function retryPendingMailboxes() {
+    const pending = pendingMailboxes.filter(({ session }) =>
+        !session.isExpired() && !mailManager.getMailbox(session.address));
+    if (pending.length === 0) return;
+
+    pendingMailboxes = [];
+    const active = mailManager.activeAddress;
+    const restored = [];
+
+    for (const entry of pending) {
+        try {
+            await mailManager.restoreSession(entry.session);
+            mailManager.setMessageState(entry.session.address, entry.messageState);
+            getMailboxState(entry.session.address);
+            restored.push(entry.session.address);
+        } catch (error) {
+            console.error(`[T3N Mail] Could not restore ${entry.session.address}:`, error);
+            if (!(error instanceof AuthError)) pendingMailboxes.push(entry);
+        }
+    }
+
+    // Restoring activates the mailbox; keep the one the user is looking at
+    if (active) mailManager.switchMailbox(active);
+
+    if (restored.length > 0 || pendingMailboxes.length < pending.length) {
+        saveSession();
+        showActiveMailbox();
+    }
+
+    if (!isPollingTab()) return;
+    for (const address of restored) {
+        handleNewMessages(await mailManager.getMessages(address), address);
+    }
+}
+
+/**
+ * Fill the domain dropdown from the provider's domain list
+ */
+async function populateDomains() {
+    if (!elements.customDomain || !mailManager) return;
+
+    const domains = await mailManager.getAvailableDomains();
+
+    elements.customDomain.innerHTML = domains.map(domain =>
+        `<option value="${escapeHtml(domain)}">${escapeHtml(domain)}</option>`
+    ).join('');
+
+    if (domains.includes(mailManager.domain)) {
+        elements.customDomain.value = mailManager.domain;
     }
 }
 
 /**
- * Create new email and save session
+ * Create new email, add it as the active mailbox and save session
  */
-async function createNewEmail() {
+async function createNewEmail(options = {}) {
     try {
-        const email = await mailManager.createEmail();
+        const email = await mailManager.createEmail(options);
 
         if (elements.emailAddress) {
             elements.emailAddress.value = email;
         }
-
-        // Save to session storage
-        saveSession();
+        hideEmailError();
 
         console.log('[T3N Mail] New email created:', email);
         return email;
@@ -272,25 +738,130 @@ async function createNewEmail() {
     } catch (error) {
         console.error('[T3N Mail] Error creating email:', error);
 
-        if (elements.emailAddress) {
-            elements.emailAddress.value = 'خطأ - حاول مرة أخرى';
+        // Keep showing the active address if another mailbox is still open
+        if (elements.emailAddress && !mailManager.email) {
+            elements.emailAddress.value = 'تعذر إنشاء البريد';
         }
 
+        // A rejected custom address is reported by its own toast
+        if (!options.login && !options.domain) showEmailError(error);
+
         throw error;
     }
 }
 
 /**
- * Save current session to storage
+ * Show why no provider could create an address, with a retry button
+ */
+function showEmailError(error) {
+    if (!elements.emailError) return;
+
+    const failures = error?.failures || [];
+
+    if (elements.emailErrorList) {
+        elements.emailErrorList.innerHTML = failures.length > 0
+            ? failures.map(({ provider, error: reason }) => `
+                <li>
+                    <strong>${escapeHtml(provider.name)}</strong>
+                    <span>${escapeHtml(describeError(reason))}</span>
+                </li>
+            `).join('')
+            : `<li>${escapeHtml(describeError(error))}</li>`;
+    }
+
+    elements.emailError.classList.remove('hidden');
+}
+
+function hideEmailError() {
+    if (elements.emailError) elements.emailError.classList.add('hidden');
+}
+
+/**
+ * User-facing message for an API error in the page language
+ */
+function describeError(error) {
+    const lang = document.documentElement.lang === 'en' ? 'en' : 'ar';
+    const entry = ERROR_MESSAGES[error?.code] || ERROR_MESSAGES[error?.name] || ERROR_MESSAGES.default;
+    let text = entry[lang];
+
+    if (error instanceof RateLimitedError && error.retryAfter) {
+        const seconds = Math.ceil(error.retryAfter / 1000);
+        text += lang === 'ar' ? ` (${seconds} ث)` : ` (${seconds}s)`;
+    } else if (error instanceof ProviderUnavailableError && error.status) {
+        text += ` (${error.status})`;
+    }
+
+    return text;
+}
+
+/**
+ * Retry creating an address from the error box
+ */
+async function retryCreateEmail() {
+    if (!elements.retryEmail) return;
+
+    elements.retryEmail.disabled = true;
+    elements.retryEmail.innerHTML = '<i class="fas fa-spinner fa-spin"></i> جاري المحاولة...';
+
+    try {
+        const email = await createNewEmail();
+        connectionStatus = 'connected';
+        showActiveMailbox();
+        showToast(`تم إنشاء ${email} ✓`);
+    } catch (error) {
+        showToast(`لا يزال إنشاء البريد متعذراً: ${describeError(error)}`);
+    }
+
+    elements.retryEmail.disabled = false;
+    elements.retryEmail.innerHTML = '<i class="fas fa-rotate-right"></i> إعادة المحاولة';
+}
+
+/**
+ * Save open mailboxes to storage
  */
-function saveSession() {
+function saveSession({ share = true } = {}) {
     if (!mailManager) return;
 
-    sessionStorage.setItem('t3n_email', mailManager.email || '');
-    sessionStorage.setItem('t3n_login', mailManager.login || '');
-    sessionStorage.setItem('t3n_domain', mailManager.domain || '');
-    sessionStorage.setItem('t3n_time', Date.now().toString());
-    sessionStorage.setItem('t3n_provider', mailManager.getProviderName());
+    const messageState = {};
+    mailManager.getMailboxes().forEach(session => {
+        messageState[session.address] = mailManager.getMessageState(session.address);
+    });
+
+    // Mailboxes waiting to be restored stay saved for the next try
+    const pending = pendingMailboxes.filter(({ session }) =>
+        !session.isExpired() && !mailManager.getMailbox(session.address));
+    pending.forEach(({ session, messageState: state }) => {
+        if (state) messageState[session.address] = state;
+    });
+
+    sessionStorage.setItem('t3n_mailboxes', JSON.stringify([
+        ...mailManager.getMailboxes(),
+        ...pending.map(({ session }) => session)
+    ]));
+    sessionStorage.setItem('t3n_active', mailManager.activeAddress || '');
+    sessionStorage.setItem('t3n_message_state', JSON.stringify(messageState));
+
+    if (share && tabSync) tabSync.post('state', getSharedState());
+    shareStateWithWorker();
+}
+
+/**
+ * Get (or create) the UI state of a mailbox
+ */
+function getMailboxState(address) {
+    if (!mailboxState.has(address)) {
+        mailboxState.set(address, {
+            newIds: new Set(), // arrived since the last render
+            unread: 0,
+            isFirstLoad: true,
+            isExpiring: false,
+            isWarned: false,    // expiry warning already shown
+            rotateFailures: 0,  // failed attempts to replace it after expiry
+            rotateRetryAt: 0,
+            listing: null       // ids and read flags last shared with other tabs
+        });
+    }
+    return mailboxState.get(address);
 }
 
 /**
@@ -312,6 +883,52 @@ function setupEventListeners() {
         elements.refreshInbox.addEventListener('click', refreshInbox);
     }
 
+    // Inbox search, filters and sorting
+    if (elements.inboxSearch) {
+        let searchTimeout = null;
+        elements.inboxSearch.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                inboxFilters.query = elements.inboxSearch.value.trim();
+                renderInbox(mailManager.messages, false);
+            }, 250);
+        });
+    }
+    if (elements.inboxFilters) {
+        elements.inboxFilters.addEventListener('click', (e) => {
+            const button = e.target.closest('.inbox-filter');
+            if (!button) return;
+
+            const { filter } = button.dataset;
+            inboxFilters[filter] = !inboxFilters[filter];
+            button.classList.toggle('active', inboxFilters[filter]);
+            renderInbox(mailManager.messages, false);
+        });
+    }
+    if (elements.inboxSort) {
+        elements.inboxSort.addEventListener('change', () => {
+            inboxFilters.sort = elements.inboxSort.value;
+            renderInbox(mailManager.messages, false);
+        });
+    }
+
+    // Mailbox switcher
+    if (elements.addMailbox) {
+        elements.addMailbox.addEventListener('click', addMailbox);
+    }
+    if (elements.mailboxList) {
+        elements.mailboxList.addEventListener('click', (e) => {
+            const item = e.target.closest('.mailbox-item');
+            if (!item) return;
+
+            if (e.target.closest('.mailbox-close')) {
+                closeMailbox(item.dataset.address);
+            } else {
+                switchMailbox(item.dataset.address);
+            }
+        });
+    }
+
     // Navbar scroll
     window.addEventListener('scroll', handleScroll, { passive: true });
 
@@ -337,42 +954,168 @@ function setupEventListeners() {
         elements.modalOverlay.addEventListener('click', closeModal);
     }
 
-    // FAQ accordion
-    if (elements.faqItems) {
-        elements.faqItems.forEach(item => {
-            const question = item.querySelector('.faq-question');
-            if (question) {
-                question.addEventListener('click', () => toggleFAQ(item));
+    // Attachments
+    if (elements.modalAttachments) {
+        elements.modalAttachments.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('.attachment-item');
+            if (!button || !item) return;
+
+            if (button.dataset.action === 'preview') {
+                previewAttachment(Number(item.dataset.index));
+            } else {
+                downloadAttachment(Number(item.dataset.index));
             }
         });
     }
 
-    // Smooth scroll for nav links
-    if (elements.navLinks) {
-        elements.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const target = document.querySelector(link.getAttribute('href'));
-                if (target) {
-                    target.scrollIntoView({ behavior: 'smooth' });
-                    closeMobileNav();
-                }
-            });
+    // Message / source tabs
+    if (elements.modalTabs) {
+        elements.modalTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-tab]');
+            if (tab) showMessageTab(tab.dataset.tab);
         });
     }
-
-    // CTA buttons
-    document.querySelectorAll('a[href="#hero"]').forEach(link => {
-        link.addEventListener('click', (e) => {
-            e.preventDefault();
-            document.getElementById('hero')?.scrollIntoView({ behavior: 'smooth' });
+    if (elements.modalSource) {
+        elements.modalSource.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="copy-source"]') && modalContext?.source?.raw) {
+                writeClipboard(modalContext.source.raw)
+                    .then(() => showToast('تم نسخ المصدر ✓'))
+                    .catch(() => showToast('فشل النسخ، انسخ يدوياً'));
+            }
         });
-    });
+    }
 
-    // Keyboard shortcuts
+    // Address lifetime
+    if (elements.extendTimer) {
+        elements.extendTimer.addEventListener('click', () => extendMailbox());
+    }
+    if (elements.keepAlive) {
+        elements.keepAlive.addEventListener('click', () => toggleKeepAlive());
+    }
+    if (elements.lifetimeSelect) {
+        elements.lifetimeSelect.addEventListener('change', () => {
+            const lifetime = mailManager.setLifetime(elements.lifetimeSelect.value);
+            localStorage.setItem('t3n_lifetime', String(lifetime));
+            showToast(`العناوين الجديدة صالحة لمدة ${elements.lifetimeSelect.selectedOptions[0].textContent}`);
+        });
+    }
+    if (elements.expiryExtend) {
+        elements.expiryExtend.addEventListener('click', () => extendMailbox(expiryAddress));
+    }
+    if (elements.expiryKeepAlive) {
+        elements.expiryKeepAlive.addEventListener('click', () => toggleKeepAlive(expiryAddress, true));
+    }
+    if (elements.expiryRotate) {
+        elements.expiryRotate.addEventListener('click', () => {
+            hideExpiryDialog();
+            refreshEmail();
+        });
+    }
+    if (elements.expiryDismiss) {
+        elements.expiryDismiss.addEventListener('click', hideExpiryDialog);
+    }
+
+    // Retry after every provider failed
+    if (elements.retryEmail) {
+        elements.retryEmail.addEventListener('click', retryCreateEmail);
+    }
+
+    // Provider failover
+    if (elements.failoverAccept) {
+        elements.failoverAccept.addEventListener('click', () => migrateMailbox());
+    }
+    if (elements.failoverAuto) {
+        elements.failoverAuto.addEventListener('click', () => {
+            mailManager.failoverPolicy = 'auto';
+            localStorage.setItem('t3n_failover_policy', 'auto');
+            migrateMailbox();
+        });
+    }
+    if (elements.failoverDismiss) {
+        elements.failoverDismiss.addEventListener('click', hideFailoverNotice);
+    }
+    if (elements.healthStatus) {
+        elements.healthStatus.addEventListener('click', () => {
+            showToast(elements.healthStatus.title, 5000);
+        });
+    }
+
+    // Archive
+    if (elements.openArchive) {
+        elements.openArchive.addEventListener('click', openArchive);
+    }
+    if (elements.archiveClose) {
+        elements.archiveClose.addEventListener('click', closeArchive);
+    }
+    if (elements.archiveOverlay) {
+        elements.archiveOverlay.addEventListener('click', closeArchive);
+    }
+    if (elements.archiveClear) {
+        elements.archiveClear.addEventListener('click', clearArchive);
+    }
+    if (elements.archiveSearch) {
+        let searchTimeout = null;
+        elements.archiveSearch.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(renderArchive, 250);
+        });
+    }
+    if (elements.archiveList) {
+        elements.archiveList.addEventListener('click', (e) => {
+            const item = e.target.closest('.archive-item');
+            if (!item) return;
+
+            if (e.target.closest('.archive-delete')) {
+                deleteArchivedMessage(item.dataset.address, item.dataset.id);
+            } else {
+                openArchivedMessage(item.dataset.address, item.dataset.id);
+            }
+        });
+    }
+
+    // FAQ accordion
+    if (elements.faqItems) {
+        elements.faqItems.forEach(item => {
+            const question = item.querySelector('.faq-question');
+            if (question) {
+                question.addEventListener('click', () => toggleFAQ(item));
+            }
+        });
+    }
+
+    // Smooth scroll for nav links
+    if (elements.navLinks) {
+        elements.navLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const target = document.querySelector(link.getAttribute('href'));
+                if (target) {
+                    target.scrollIntoView({ behavior: 'smooth' });
+                    closeMobileNav();
+                }
+            });
+        });
+    }
+
+    // CTA buttons
+    document.querySelectorAll('a[href="#hero"]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.getElementById('hero')?.scrollIntoView({ behavior: 'smooth' });
+        });
+    });
+
+    // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
-            closeModal();
+            if (expiryAddress) {
+                hideExpiryDialog();
+            } else if (elements.modal?.classList.contains('active')) {
+                closeModal();
+            } else {
+                closeArchive();
+            }
             closeMobileNav();
         }
         if ((e.ctrlKey || e.metaKey) && e.key === 'c' && document.activeElement === elements.emailAddress) {
@@ -385,20 +1128,58 @@ function setupEventListeners() {
         elements.emailAddress.addEventListener('dblclick', copyEmail);
     }
 
+    // Custom address
+    if (elements.createCustomEmail) {
+        elements.createCustomEmail.addEventListener('click', createCustomEmail);
+    }
+    if (elements.customLogin) {
+        elements.customLogin.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') createCustomEmail();
+        });
+    }
+
     // Visibility change - pause/resume
     document.addEventListener('visibilitychange', () => {
+        if (!mailManager) return;
+
+        // The service worker checks for mail while no tab is visible
+        if (document.hidden) shareStateWithWorker();
+
+        // Only a visible tab leads; the leader handler starts and stops polling
+        if (tabSync) {
+            tabSync.setEligible(!document.hidden);
+            return;
+        }
+
         if (document.hidden) {
-            if (mailManager) mailManager.stopAutoRefresh();
+            stopPolling();
         } else {
-            if (mailManager) {
-                mailManager.startAutoRefresh(handleNewMessages, 3000);
-                refreshInbox();
-            }
+            startPolling();
+            refreshInbox();
         }
     });
 
-    // Before unload - save session
-    window.addEventListener('beforeunload', saveSession);
+    // Back online - restore the saved mailboxes that failed on load
+    window.addEventListener('online', () => {
+        if (mailManager) retryPendingMailboxes();
+    });
+
+    // Before unload - save session and hand the lead to another tab
+    window.addEventListener('beforeunload', () => saveSession({ share: false }));
+    window.addEventListener('pagehide', () => {
+        if (tabSync) tabSync.stop();
+    });
+
+    // Back from the back/forward cache: rejoin the other tabs and catch up
+    window.addEventListener('pageshow', (event) => {
+        if (!event.persisted || !tabSync) return;
+
+        tabSync.setEligible(!document.hidden);
+        tabSync.start();
+        tabSync.request('state:request').then(shared => {
+            if (shared?.mailboxes?.length > 0) applySharedState(shared);
+        });
+    });
 }
 
 // ========================================
@@ -409,17 +1190,20 @@ function setupEventListeners() {
  * Copy email to clipboard
  */
 async function copyEmail() {
-    const email = elements.emailAddress?.value;
+    const email = mailManager?.email;
 
-    if (!email || email.includes('جاري') || email.includes('خطأ')) {
+    if (!email || !mailManager.isReady()) {
         showToast('انتظر حتى يتم إنشاء البريد');
         return;
     }
 
     try {
-        await navigator.clipboard.writeText(email);
+        await writeClipboard(email);
         showToast('تم نسخ البريد بنجاح! ✓');
 
+        // Mail usually follows soon after the address is given out
+        if (mailManager) mailManager.boostRefresh();
+
         // Visual feedback
         if (elements.copyEmail) {
             elements.copyEmail.innerHTML = '<i class="fas fa-check"></i>';
@@ -432,206 +1216,1052 @@ async function copyEmail() {
                 elements.copyEmail.style.borderColor = '';
             }, 2000);
         }
+    } catch (error) {
+        showToast('فشل النسخ، انسخ يدوياً');
+    }
+}
+
+/**
+ * Copy a verification code to clipboard
+ */
+async function copyCode(code) {
+    try {
+        await writeClipboard(code);
+        showToast(`تم نسخ الرمز ${code} ✓`);
+    } catch (error) {
+        showToast('فشل النسخ، انسخ يدوياً');
+    }
+}
+
+/**
+ * Write text to clipboard with a fallback for older browsers
+ */
+async function writeClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
     } catch (error) {
         // Fallback
-        try {
-            const textArea = document.createElement('textarea');
-            textArea.value = email;
-            textArea.style.cssText = 'position:fixed;left:-9999px;';
-            document.body.appendChild(textArea);
-            textArea.select();
-            document.execCommand('copy');
-            document.body.removeChild(textArea);
-            showToast('تم نسخ البريد بنجاح! ✓');
-        } catch (err) {
-            showToast('فشل النسخ، انسخ يدوياً');
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.style.cssText = 'position:fixed;left:-9999px;';
+        document.body.appendChild(textArea);
+        textArea.select();
+        const copied = document.execCommand('copy');
+        document.body.removeChild(textArea);
+
+        if (!copied) throw error;
+    }
+}
+
+/**
+ * Generate new email, returns whether it was created
+ */
+async function refreshEmail() {
+    if (!elements.refreshEmail || !elements.emailAddress) return false;
+
+    let created = false;
+
+    // Disable button
+    elements.refreshEmail.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+    elements.refreshEmail.disabled = true;
+    elements.emailAddress.value = 'جاري إنشاء بريد جديد...';
+
+    try {
+        stopPolling();
+
+        const previous = mailManager.activeAddress;
+        const email = await mailManager.refreshEmail();
+        elements.emailAddress.value = email;
+
+        // Reset state
+        mailboxState.delete(previous);
+        getMailboxState(email);
+
+        // Save session
+        saveSession();
+
+        // Show the new (empty) inbox
+        hideEmailError();
+        showActiveMailbox();
+
+        showToast(`تم إنشاء بريد جديد! (${mailManager.getProviderName()})`);
+        created = true;
+
+    } catch (error) {
+        console.error('[T3N Mail] Refresh error:', error);
+        elements.emailAddress.value = mailManager.email || 'تعذر إنشاء البريد';
+        showEmailError(error);
+        showToast(describeError(error));
+    }
+
+    // Restart auto-refresh
+    startPolling();
+
+    elements.refreshEmail.innerHTML = '<i class="fas fa-rotate"></i>';
+    elements.refreshEmail.disabled = false;
+
+    return created;
+}
+
+/**
+ * Create an address with the chosen local part and domain
+ */
+async function createCustomEmail() {
+    if (!elements.createCustomEmail || !elements.customLogin || !elements.customDomain) return;
+
+    const login = elements.customLogin.value.trim().toLowerCase();
+    const domain = elements.customDomain.value;
+
+    if (login && (!/^[a-z0-9][a-z0-9._-]{2,29}$/.test(login) || !isValidEmail(`${login}@${domain}`))) {
+        showToast('اسم المستخدم غير صالح (3-30 حرفاً: a-z 0-9 . _ -)');
+        return;
+    }
+
+    elements.createCustomEmail.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+    elements.createCustomEmail.disabled = true;
+
+    try {
+        const email = await createNewEmail({ login: login || undefined, domain });
+        elements.customLogin.value = '';
+        showActiveMailbox();
+        showToast(`تم إنشاء ${email} ✓`);
+    } catch (error) {
+        showToast('تعذر إنشاء هذا العنوان، قد يكون مستخدماً أو غير متاح');
+    }
+
+    elements.createCustomEmail.innerHTML = '<i class="fas fa-check"></i>';
+    elements.createCustomEmail.disabled = false;
+}
+
+/**
+ * Refresh inbox manually
+ */
+async function refreshInbox() {
+    if (!elements.refreshInbox) return;
+
+    const originalContent = elements.refreshInbox.innerHTML;
+    elements.refreshInbox.innerHTML = '<i class="fas fa-sync-alt fa-spin"></i> تحديث';
+    elements.refreshInbox.disabled = true;
+
+    try {
+        const messages = await mailManager.getMessages();
+        handleNewMessages(messages, mailManager.activeAddress);
+        showToast('تم تحديث صندوق الوارد');
+    } catch (error) {
+        console.error('[T3N Mail] Inbox refresh error:', error);
+        showToast(describeError(error));
+    }
+
+    elements.refreshInbox.innerHTML = originalContent;
+    elements.refreshInbox.disabled = false;
+}
+
+/**
+ * Add another mailbox next to the existing ones
+ */
+async function addMailbox() {
+    if (!elements.addMailbox) return;
+
+    elements.addMailbox.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+    elements.addMailbox.disabled = true;
+
+    try {
+        const email = await createNewEmail();
+        showActiveMailbox();
+        showToast(`تمت إضافة ${email}`);
+    } catch (error) {
+        showToast(describeError(error));
+    }
+
+    elements.addMailbox.innerHTML = '<i class="fas fa-plus"></i>';
+    elements.addMailbox.disabled = false;
+}
+
+/**
+ * Switch the hero box and inbox to another mailbox
+ */
+function switchMailbox(address) {
+    if (!mailManager || address === mailManager.activeAddress) return;
+    if (!mailManager.switchMailbox(address)) return;
+
+    saveSession();
+    showActiveMailbox();
+}
+
+/**
+ * Close a mailbox (the last one can only be replaced)
+ */
+function closeMailbox(address) {
+    if (!mailManager) return;
+
+    if (mailManager.getMailboxes().length <= 1) {
+        showToast('لا يمكن إغلاق آخر عنوان، استخدم زر البريد الجديد');
+        return;
+    }
+
+    mailManager.removeMailbox(address);
+    mailboxState.delete(address);
+    saveSession();
+    showActiveMailbox();
+}
+
+/**
+ * Show the active mailbox in the hero box, timer, sidebar and inbox
+ */
+function showActiveMailbox() {
+    if (!mailManager?.session) return;
+
+    if (elements.emailAddress) {
+        elements.emailAddress.value = mailManager.email;
+    }
+
+    const state = getMailboxState(mailManager.activeAddress);
+    state.unread = 0;
+
+    updateTimerDisplay();
+    renderMailboxList();
+    renderPollStatus();
+    renderHealthStatus();
+    renderInbox(mailManager.messages, state.isFirstLoad);
+}
+
+/**
+ * Navbar indicator for the active mailbox's provider, with every provider in the tooltip
+ */
+function renderHealthStatus() {
+    if (!elements.healthStatus || !mailManager) return;
+
+    const labels = { unknown: 'جاري الفحص', healthy: 'متصل', degraded: 'بطيء', down: 'متعطل' };
+    const health = mailManager.getHealth();
+    const providerId = mailManager.session?.providerId || mailManager.currentProvider?.id;
+    const status = health.find(entry => entry.provider.id === providerId)?.status || 'unknown';
+
+    elements.healthStatus.className = `health-status health-${status}`;
+    elements.healthStatus.innerHTML = `<span class="health-dot"></span> ${labels[status]}`;
+    elements.healthStatus.title = health.map(entry =>
+        `${entry.provider.name}: ${labels[entry.status]}` +
+        (entry.samples > 0 ? ` · ${Math.round(entry.errorRate * 100)}% أخطاء · ${entry.latency}ms` : '')
+    ).join('\n');
+}
+
+/**
+ * Offer to move mailboxes off a provider that went down
+ */
+function showFailoverNotice(provider, mailboxes) {
+    if (!elements.failoverNotice) return;
+
+    const address = mailboxes.includes(mailManager.activeAddress) ? mailManager.activeAddress : mailboxes[0];
+    failoverTarget = { providerId: provider.id, address };
+
+    if (elements.failoverText) {
+        elements.failoverText.textContent = `${provider.name} لا يستجيب، قد لا تصل الرسائل إلى ${address}`;
+    }
+    elements.failoverNotice.classList.remove('hidden');
+}
+
+function hideFailoverNotice() {
+    failoverTarget = null;
+    if (elements.failoverNotice) elements.failoverNotice.classList.add('hidden');
+}
+
+/**
+ * Move the mailbox from the failover notice to a healthy provider
+ */
+async function migrateMailbox() {
+    if (!failoverTarget) return;
+
+    const { address } = failoverTarget;
+    hideFailoverNotice();
+    showToast('جاري النقل إلى عنوان جديد...');
+
+    try {
+        // The mailbox:migrated handler updates the UI
+        await mailManager.migrateMailbox(address);
+    } catch (error) {
+        console.error('[T3N Mail] Migration error:', error);
+        showToast(`تعذر النقل: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Show how the active mailbox is being checked
+ */
+function renderPollStatus() {
+    if (!elements.pollStatus || !mailManager) return;
+
+    if (!isPollingTab()) {
+        elements.pollStatus.className = 'poll-status poll-synced';
+        elements.pollStatus.innerHTML = '<i class="fas fa-clone"></i> متزامن مع تبويب آخر';
+        return;
+    }
+
+    const { mode, interval, resumeIn } = mailManager.getPollState();
+    const seconds = ms => Math.ceil(ms / 1000);
+
+    const labels = {
+        push: ['fa-bolt', 'مباشر'],
+        boost: ['fa-gauge-high', `سريع · كل ${seconds(interval)} ث`],
+        normal: ['fa-rotate', `كل ${seconds(interval)} ث`],
+        idle: ['fa-moon', `هادئ · كل ${seconds(interval)} ث`],
+        paused: ['fa-hourglass-half', `حد الطلبات · استئناف بعد ${seconds(resumeIn)} ث`],
+        stopped: ['fa-pause', 'متوقف']
+    };
+    const [icon, label] = labels[mode] || labels.stopped;
+
+    elements.pollStatus.className = `poll-status poll-${mode}`;
+    elements.pollStatus.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+}
+
+/**
+ * Render the mailbox switcher
+ */
+function renderMailboxList() {
+    if (!elements.mailboxList || !mailManager) return;
+
+    elements.mailboxList.innerHTML = mailManager.getMailboxes().map(session => {
+        const state = getMailboxState(session.address);
+        const isActive = session.address === mailManager.activeAddress;
+        const address = escapeHtml(session.address);
+
+        return `
+            <li class="mailbox-item ${isActive ? 'active' : ''}" data-address="${address}">
+                <div class="mailbox-info">
+                    <span class="mailbox-address">${address}</span>
+                    <span class="mailbox-timer">${formatTime(getTimeRemaining(session))}</span>
+                </div>
+                ${state.unread > 0 ? `<span class="mailbox-unread">${state.unread}</span>` : ''}
+                <button class="mailbox-close" title="إغلاق العنوان">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Handle messages fetched for a mailbox
+ */
+function handleNewMessages(messages, address = mailManager?.activeAddress) {
+    if (!Array.isArray(messages) || !mailManager?.getMailbox(address)) return;
+
+    const state = getMailboxState(address);
+
+    if (address === mailManager.activeAddress) {
+        renderInbox(messages, state.isFirstLoad);
+        state.newIds.clear();
+    }
+
+    state.isFirstLoad = false;
+
+    renderMailboxList();
+
+    // Bodies are fetched by the polling tab only; followers load them when opened
+    if (isPollingTab()) prefetchBodies(messages, address);
+
+    // Share the listing only when it changed since the last poll
+    const listing = messages.map(msg => `${msg.id}:${msg.seen ? 1 : 0}`).join(',');
+    if (tabSync?.isLeader && listing !== state.listing) tabSync.post('messages', { address, messages });
+    state.listing = listing;
+}
+
+/**
+ * Announce messages the manager reported as new (message:new)
+ */
+function notifyNewMessages({ address, messages, remote }) {
+    const state = getMailboxState(address);
+    messages.forEach(msg => state.newIds.add(String(msg.id)));
+
+    if (address !== mailManager.activeAddress) state.unread += messages.length;
+
+    const [first] = messages;
+    const sender = extractName(first.from) || 'مرسل غير معروف';
+    const subject = first.subject || 'بدون عنوان';
+
+    // The tab that received them already played the sound and notified
+    if (remote) {
+        showToast(`📨 ${sender}: ${subject}${messages.length > 1 ? ` (+${messages.length - 1})` : ''}`);
+        return;
+    }
+
+    // Play sound
+    if (notificationSound) notificationSound.play();
+
+    // Browser notification
+    if (messages.length === 1) {
+        showBrowserNotification(`${sender} - ${subject}`, `رسالة جديدة على ${address}`, {
+            address,
+            messageId: String(first.id)
+        });
+        showToast(`📨 ${sender}: ${subject}`);
+    } else {
+        const summary = messages.slice(0, 3)
+            .map(msg => `${extractName(msg.from) || 'مرسل غير معروف'}: ${msg.subject || 'بدون عنوان'}`)
+            .join('\n');
+
+        showBrowserNotification(`T3N Mail - ${messages.length} رسائل جديدة على ${address}`, summary, {
+            address,
+            messageId: String(first.id)
+        });
+        showToast(`📨 ${sender}: ${subject} (+${messages.length - 1})`);
+    }
+}
+
+/**
+ * Fetch full bodies in the background so codes and links can be extracted
+ */
+async function prefetchBodies(messages, address) {
+    const missing = messages.filter(msg => !mailManager.getCachedMessage(msg.id, address));
+    if (missing.length === 0) return;
+
+    await mailManager.prefetchMessages(missing, address);
+    if (tabSync?.isLeader) shareBodies(address, missing);
+
+    if (address === mailManager.activeAddress) {
+        renderInbox(mailManager.messages, false);
+    }
+}
+
+/**
+ * Send fetched bodies to the other tabs, for their code chips and inbox search
+ */
+function shareBodies(address, messages = mailManager.getMailbox(address)?.messages || []) {
+    const bodies = messages
+        .map(msg => mailManager.getCachedMessage(msg.id, address))
+        .filter(Boolean);
+
+    if (bodies.length > 0) tabSync.post('bodies', { address, messages: bodies });
+}
+
+/**
+ * Show the message list or the empty state
+ */
+function renderInbox(messages, isFirstLoad) {
+    if (elements.inboxToolbar) elements.inboxToolbar.classList.toggle('hidden', messages.length === 0);
+
+    if (messages.length > 0) {
+        const visible = filterMessages(messages, mailManager.activeAddress);
+
+        if (elements.inboxEmpty) elements.inboxEmpty.classList.add('hidden');
+        if (elements.inboxNoResults) elements.inboxNoResults.classList.toggle('hidden', visible.length > 0);
+        if (elements.inboxList) elements.inboxList.classList.add('active');
+
+        renderMessages(visible, isFirstLoad);
+    } else {
+        if (elements.inboxList) elements.inboxList.innerHTML = '';
+        if (elements.inboxEmpty) elements.inboxEmpty.classList.remove('hidden');
+        if (elements.inboxNoResults) elements.inboxNoResults.classList.add('hidden');
+        if (elements.inboxList) elements.inboxList.classList.remove('active');
+    }
+}
+
+/**
+ * Apply the inbox search and filters, then sort.
+ * Bodies are searched once prefetched; until then sender, subject and preview.
+ */
+function filterMessages(messages, address) {
+    const terms = inboxFilters.query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matches = messages.filter(msg => {
+        const cached = mailManager.getCachedMessage(msg.id, address);
+
+        if (inboxFilters.unread && msg.seen) return false;
+        if (inboxFilters.code && !(cached?.verification || msg.verification)?.code) return false;
+        if (inboxFilters.attachment && !(cached?.attachments?.length > 0 || msg.hasAttachments)) return false;
+
+        if (terms.length === 0) return true;
+
+        const text = `${msg.from || ''} ${msg.subject || ''} ${msg.preview || ''} ${getBodyText(cached)}`.toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+
+    return sortMessages(matches);
+}
+
+/**
+ * Searchable text of a fetched message (HTML-only mail is converted once)
+ */
+function getBodyText(message) {
+    if (!message) return '';
+
+    if (!searchText.has(message)) {
+        const body = message.textBody || message.body || (message.htmlBody ? htmlToText(message.htmlBody) : '');
+        searchText.set(message, String(body));
+    }
+    return searchText.get(message);
+}
+
+function sortMessages(messages) {
+    const sorted = [...messages];
+
+    if (inboxFilters.sort === 'sender') {
+        const sender = msg => extractName(msg.from) || '';
+        return sorted.sort((a, b) => sender(a).localeCompare(sender(b), 'ar', { sensitivity: 'base' })
+            || messageTime(b.date) - messageTime(a.date));
+    }
+
+    const direction = inboxFilters.sort === 'oldest' ? 1 : -1;
+    return sorted.sort((a, b) => direction * (messageTime(a.date) - messageTime(b.date)));
+}
+
+/**
+ * Message date in ms (Guerrilla Mail sends a unix timestamp in seconds)
+ */
+function messageTime(date) {
+    if (/^\d+$/.test(String(date))) return Number(date) * 1000;
+    return new Date(date).getTime() || 0;
+}
+
+/**
+ * Render messages in inbox
+ */
+function renderMessages(messages, isFirstLoad) {
+    if (!elements.inboxList) return;
+
+    const { newIds } = getMailboxState(mailManager.activeAddress);
+
+    elements.inboxList.innerHTML = messages.map(msg => {
+        const isUnread = !msg.seen;
+        const isNew = !isFirstLoad && newIds.has(String(msg.id));
+        const fromDisplay = escapeHtml(msg.from || 'مرسل غير معروف');
+        const subjectDisplay = escapeHtml(msg.subject || 'بدون عنوان');
+        const verification = mailManager.getCachedMessage(msg.id)?.verification || msg.verification;
+
+        return `
+            <div class="inbox-item ${isUnread ? 'unread' : ''} ${isNew ? 'new-message' : ''}" 
+                 data-id="${msg.id}" 
+                 onclick="openMessage('${msg.id}')">
+                <div class="inbox-avatar">
+                    <i class="fas fa-envelope${isUnread ? '' : '-open'}"></i>
+                </div>
+                <div class="inbox-content">
+                    <div class="inbox-from">
+                        ${fromDisplay}
+                        ${isUnread ? '<span class="inbox-new-badge">جديد</span>' : ''}
+                    </div>
+                    <div class="inbox-subject">${subjectDisplay}</div>
+                    ${renderVerificationChips(verification)}
+                </div>
+                <div class="inbox-time">${formatDate(msg.date)}</div>
+                <button class="inbox-delete" title="حذف الرسالة"
+                        onclick="event.stopPropagation(); deleteMessage('${msg.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * One-click "copy code" / "open link" chips for an inbox row
+ */
+function renderVerificationChips(verification) {
+    if (!verification || (!verification.code && !verification.link)) return '';
+
+    const chips = [];
+
+    if (verification.code) {
+        const code = escapeHtml(verification.code);
+        chips.push(`
+            <button class="inbox-chip" title="نسخ الرمز"
+                    onclick="event.stopPropagation(); copyCode('${code}')">
+                <i class="fas fa-key"></i> ${code}
+            </button>
+        `);
+    }
+
+    if (verification.link) {
+        const link = escapeHtml(verification.link);
+        chips.push(`
+            <a class="inbox-chip" href="${link}" title="${link}" target="_blank" rel="noopener noreferrer"
+               onclick="event.stopPropagation()">
+                <i class="fas fa-link"></i> فتح الرابط
+            </a>
+        `);
+    }
+
+    return `<div class="inbox-chips">${chips.join('')}</div>`;
+}
+
+/**
+ * Open message in modal
+ */
+async function openMessage(messageId) {
+    if (!showModalLoading()) return;
+
+    try {
+        const message = await mailManager.getMessage(messageId);
+
+        if (message) {
+            renderMessageModal(message);
+            markMessageRead(messageId);
+        } else {
+            throw new MessageNotFoundError(messageId);
+        }
+    } catch (error) {
+        console.error('[T3N Mail] Error opening message:', error);
+        if (elements.modalBody) {
+            elements.modalBody.innerHTML = `<p style="color:#ff4757;">${escapeHtml(describeError(error))}</p>`;
+        }
+    }
+}
+
+/**
+ * Mark a message of the active mailbox as read and update the row
+ */
+async function markMessageRead(messageId) {
+    const address = mailManager.activeAddress;
+    await mailManager.markRead(messageId, address);
+    saveSession();
+
+    if (address === mailManager.activeAddress) {
+        renderInbox(mailManager.messages, false);
+    }
+}
+
+/**
+ * Delete a message of the active mailbox
+ */
+async function deleteMessage(messageId) {
+    const address = mailManager.activeAddress;
+
+    try {
+        await mailManager.deleteMessage(messageId, address);
+        saveSession();
+
+        if (address === mailManager.activeAddress) {
+            renderInbox(mailManager.messages, false);
         }
+        showToast('تم حذف الرسالة');
+    } catch (error) {
+        console.error('[T3N Mail] Error deleting message:', error);
+        showToast(`تعذر حذف الرسالة: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Open the message modal in its loading state
+ */
+function showModalLoading() {
+    if (!elements.modal) return false;
+
+    if (elements.modalFrom) elements.modalFrom.textContent = 'جاري التحميل...';
+    if (elements.modalFromEmail) elements.modalFromEmail.textContent = '';
+    if (elements.modalDate) elements.modalDate.textContent = '';
+    if (elements.modalSubject) elements.modalSubject.textContent = '';
+    if (elements.modalBody) {
+        elements.modalBody.innerHTML = '<div class="loading-dots"><span></span><span></span><span></span></div>';
+    }
+    renderAttachments([]);
+    showMessageTab('content');
+
+    elements.modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    return true;
+}
+
+/**
+ * Fill the message modal
+ */
+function renderMessageModal(message, address = mailManager?.activeAddress) {
+    modalContext = { message, address, source: null };
+    showMessageTab('content');
+
+    if (elements.modalFrom) {
+        elements.modalFrom.textContent = extractName(message.from) || 'مرسل غير معروف';
+    }
+    if (elements.modalFromEmail) {
+        elements.modalFromEmail.textContent = message.from || '';
+    }
+    if (elements.modalDate) {
+        elements.modalDate.textContent = formatDate(message.date);
+    }
+    if (elements.modalSubject) {
+        elements.modalSubject.textContent = message.subject || 'بدون عنوان';
+    }
+    if (elements.modalBody) {
+        if (message.htmlBody) {
+            renderHtmlBody(message, address);
+        } else if (message.textBody || message.body || message.preview) {
+            elements.modalBody.innerHTML = `<pre style="white-space:pre-wrap;font-family:inherit;">${escapeHtml(message.textBody || message.body || message.preview)}</pre>`;
+        } else {
+            elements.modalBody.innerHTML = '<p>لا يوجد محتوى</p>';
+        }
+    }
+
+    renderAttachments(message.attachments, mailManager.canDownloadAttachments(address));
+}
+
+/**
+ * Show an HTML body in a sandboxed iframe, isolated from the page styles and scripts.
+ * Remote images stay blocked until the user loads them for this message.
+ */
+function renderHtmlBody(message, address) {
+    const key = `${address}:${message.id}`;
+    const loadImages = imagesAllowed.has(key);
+
+    const body = sanitizeDocument(message.htmlBody);
+    const report = blockRemoteContent(body, loadImages);
+
+    const frame = document.createElement('iframe');
+    frame.className = 'message-frame';
+    frame.title = 'محتوى الرسالة';
+    // Same origin only so the height can be measured; scripts never run
+    frame.setAttribute('sandbox', 'allow-same-origin allow-popups allow-popups-to-escape-sandbox');
+    frame.setAttribute('referrerpolicy', 'no-referrer');
+    frame.srcdoc = buildFrameDocument(body.innerHTML, loadImages);
+
+    frame.addEventListener('load', () => {
+        const doc = frame.contentDocument;
+        if (!doc) return;
+
+        const fit = () => {
+            frame.style.height = `${doc.documentElement.scrollHeight}px`;
+        };
+        fit();
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(fit).observe(doc.body);
+        }
+    });
+
+    elements.modalBody.innerHTML = '';
+
+    if (report.images > 0 || report.trackers > 0) {
+        const bar = document.createElement('div');
+        bar.className = 'remote-content-bar';
+        bar.innerHTML = `
+            <i class="fas fa-shield-halved"></i>
+            <span>${describeRemoteContent(report, loadImages)}</span>
+        `;
+
+        if (!loadImages && report.images > 0) {
+            const button = document.createElement('button');
+            button.className = 'btn-failover';
+            button.innerHTML = '<i class="fas fa-image"></i> عرض الصور';
+            button.addEventListener('click', () => {
+                imagesAllowed.add(key);
+                renderHtmlBody(message, address);
+            });
+            bar.appendChild(button);
+        }
+
+        elements.modalBody.appendChild(bar);
+    }
+
+    elements.modalBody.appendChild(frame);
+}
+
+/**
+ * Summary line for the remote content bar
+ */
+function describeRemoteContent({ images, trackers, links }, loadImages) {
+    const parts = [];
+    if (images > 0 && !loadImages) parts.push(`تم حظر ${images} صورة خارجية`);
+    if (trackers > 0) parts.push(`تمت إزالة ${trackers} متتبع`);
+    if (links > 0) parts.push(`تم كشف ${links} رابط متتبَّع`);
+    return parts.join(' · ') || 'تم تحميل الصور الخارجية';
+}
+
+/**
+ * Wrap sanitized mail HTML in a document with a strict CSP
+ */
+function buildFrameDocument(body, loadImages = false) {
+    const policy = [
+        "default-src 'none'",
+        loadImages ? 'img-src https: http:' : "img-src 'none'",
+        "style-src 'unsafe-inline'",
+        "base-uri 'none'",
+        "form-action 'none'"
+    ].join('; ');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${policy}">
+<style>
+    html, body { margin: 0; overflow: hidden; }
+    body { padding: 12px; background: #fff; color: #222; font-family: Arial, sans-serif; overflow-wrap: anywhere; }
+    img { max-width: 100%; height: auto; }
+    table { max-width: 100%; }
+    .blocked-image {
+        display: inline-block; max-width: 100%; box-sizing: border-box; padding: 4px 8px;
+        border: 1px dashed #bbb; border-radius: 4px; color: #888; font-size: 12px;
+    }
+</style>
+</head>
+<body dir="auto">${body}</body>
+</html>`;
+}
+
+/**
+ * Switch the message modal between the rendered message and its source
+ */
+function showMessageTab(tab) {
+    const isSource = tab === 'source';
+
+    if (elements.modalTabs) {
+        elements.modalTabs.querySelectorAll('[data-tab]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
     }
+    if (elements.modalBody) elements.modalBody.classList.toggle('hidden', isSource);
+    if (elements.modalAttachments) elements.modalAttachments.classList.toggle('hidden', isSource);
+    if (elements.modalSource) elements.modalSource.classList.toggle('hidden', !isSource);
+
+    if (isSource) renderMessageSource();
 }
 
 /**
- * Generate new email
+ * Show the raw source where the provider offers it, the parsed headers otherwise
  */
-async function refreshEmail() {
-    if (!elements.refreshEmail || !elements.emailAddress) return;
+async function renderMessageSource() {
+    if (!elements.modalSource || !modalContext) return;
 
-    // Disable button
-    elements.refreshEmail.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
-    elements.refreshEmail.disabled = true;
-    elements.emailAddress.value = 'جاري إنشاء بريد جديد...';
+    const context = modalContext;
+    if (!context.source) {
+        elements.modalSource.innerHTML = '<div class="loading-dots"><span></span><span></span><span></span></div>';
 
-    try {
-        if (mailManager) {
-            mailManager.stopAutoRefresh();
+        let error = null;
+        try {
+            context.source = mailManager.getMailbox(context.address)
+                ? await mailManager.getSource(context.message.id, context.address)
+                : null;
+        } catch (sourceError) {
+            console.error('[T3N Mail] Error loading message source:', sourceError);
+            error = sourceError;
         }
 
-        const email = await mailManager.refreshEmail();
-        elements.emailAddress.value = email;
+        if (!context.source) {
+            context.source = { raw: null, headers: context.message.headers || [], error };
+        }
+    }
 
-        // Reset state
-        timeRemaining = 600;
-        previousMessageCount = 0;
-        isFirstLoad = true;
+    // The modal moved on to another message while loading
+    if (modalContext !== context) return;
+
+    const { raw, headers, error } = context.source;
+    const note = error
+        ? `تعذر جلب المصدر الكامل: ${describeError(error)}`
+        : 'المزود لا يوفر المصدر الكامل، هذه الترويسات المتاحة فقط';
+
+    elements.modalSource.innerHTML = `
+        ${raw ? '' : `<p class="source-note"><i class="fas fa-circle-info"></i> ${escapeHtml(note)}</p>`}
+        ${headers.length > 0 ? `
+            <table class="header-table">
+                ${headers.map(({ name, value }) => `
+                    <tr class="${/^(authentication-results|arc-authentication-results|received-spf|dkim-signature)$/i.test(name) ? 'header-auth' : ''}">
+                        <th>${escapeHtml(name)}</th>
+                        <td>${escapeHtml(value)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        ` : '<p class="source-note">لا توجد ترويسات</p>'}
+        ${raw ? `
+            <div class="source-toolbar">
+                <span>المصدر الكامل (RFC 822)</span>
+                <button class="btn-icon" data-action="copy-source" title="نسخ المصدر">
+                    <i class="fas fa-copy"></i>
+                </button>
+            </div>
+            <pre class="raw-source">${escapeHtml(raw)}</pre>
+        ` : ''}
+    `;
+}
 
-        // Save session
-        saveSession();
+/**
+ * Render the attachment list of the open message
+ */
+function renderAttachments(attachments = [], downloadable = false) {
+    if (!elements.modalAttachments) return;
 
-        // Clear inbox
-        if (elements.inboxList) elements.inboxList.innerHTML = '';
-        if (elements.inboxList) elements.inboxList.classList.remove('active');
-        if (elements.inboxEmpty) elements.inboxEmpty.classList.remove('hidden');
+    if (attachments.length === 0) {
+        elements.modalAttachments.innerHTML = '';
+        return;
+    }
 
-        // Restart auto-refresh
-        mailManager.startAutoRefresh(handleNewMessages, 3000);
+    elements.modalAttachments.innerHTML = `
+        <div class="attachments-title">
+            <i class="fas fa-paperclip"></i>
+            المرفقات (${attachments.length})
+            ${downloadable ? '' : '<span class="attachments-note">التحميل غير متاح لدى هذا المزود</span>'}
+        </div>
+        ${attachments.map((attachment, index) => `
+            <div class="attachment-item" data-index="${index}">
+                <i class="fas ${getAttachmentIcon(attachment.contentType)} attachment-icon"></i>
+                <div class="attachment-info">
+                    <span class="attachment-name">${escapeHtml(attachment.filename)}</span>
+                    <span class="attachment-meta">${escapeHtml(attachment.contentType)} · ${formatBytes(attachment.size)}</span>
+                </div>
+                ${downloadable && getPreviewType(attachment.contentType) ? `
+                    <button class="btn-icon" data-action="preview" title="معاينة">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                ` : ''}
+                ${downloadable ? `
+                    <button class="btn-icon" data-action="download" title="تحميل">
+                        <i class="fas fa-download"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `).join('')}
+        <div class="attachment-preview" id="attachmentPreview"></div>
+    `;
+}
 
-        showToast(`تم إنشاء بريد جديد! (${mailManager.getProviderName()})`);
-        isFirstLoad = false;
+/**
+ * Fetch an attachment of the open message as an object URL
+ */
+async function getAttachmentUrl(index, type) {
+    const attachment = modalContext?.message.attachments?.[index];
+    if (!attachment) throw new Error('Attachment not found');
 
-    } catch (error) {
-        console.error('[T3N Mail] Refresh error:', error);
-        showToast('خطأ في إنشاء البريد، حاول مرة أخرى');
-    }
+    const blob = await mailManager.getAttachment(modalContext.message.id, attachment, modalContext.address);
+    const url = URL.createObjectURL(type ? new Blob([blob], { type }) : blob);
+    attachmentUrls.push(url);
 
-    elements.refreshEmail.innerHTML = '<i class="fas fa-rotate"></i>';
-    elements.refreshEmail.disabled = false;
+    return { url, attachment };
 }
 
 /**
- * Refresh inbox manually
+ * Show an image or PDF attachment inside the modal
  */
-async function refreshInbox() {
-    if (!elements.refreshInbox) return;
+async function previewAttachment(index) {
+    const preview = document.getElementById('attachmentPreview');
+    const attachment = modalContext?.message.attachments?.[index];
+    const type = getPreviewType(attachment?.contentType);
+    if (!preview || !type) return;
 
-    const originalContent = elements.refreshInbox.innerHTML;
-    elements.refreshInbox.innerHTML = '<i class="fas fa-sync-alt fa-spin"></i> تحديث';
-    elements.refreshInbox.disabled = true;
+    preview.innerHTML = '<div class="loading-dots"><span></span><span></span><span></span></div>';
 
     try {
-        const messages = await mailManager.getMessages();
-        handleNewMessages(messages);
-        showToast('تم تحديث صندوق الوارد');
+        // Force the declared type so the browser only ever renders an image or PDF
+        const { url } = await getAttachmentUrl(index, attachment.contentType);
+        const name = escapeHtml(attachment.filename);
+
+        preview.innerHTML = type === 'image'
+            ? `<img src="${url}" alt="${name}">`
+            : `<iframe src="${url}" title="${name}"></iframe>`;
     } catch (error) {
-        console.error('[T3N Mail] Inbox refresh error:', error);
-        showToast('خطأ في التحديث');
+        console.error('[T3N Mail] Error previewing attachment:', error);
+        preview.innerHTML = `<p style="color:#ff4757;">${escapeHtml(describeError(error))}</p>`;
     }
+}
 
-    elements.refreshInbox.innerHTML = originalContent;
-    elements.refreshInbox.disabled = false;
+/**
+ * Save an attachment as a file
+ */
+async function downloadAttachment(index) {
+    try {
+        const { url, attachment } = await getAttachmentUrl(index);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    } catch (error) {
+        console.error('[T3N Mail] Error downloading attachment:', error);
+        showToast(`تعذر تحميل المرفق: ${describeError(error)}`);
+    }
 }
 
 /**
- * Handle new messages
+ * Close modal
  */
-function handleNewMessages(messages) {
-    if (!Array.isArray(messages)) return;
+function closeModal() {
+    if (elements.modal) {
+        elements.modal.classList.remove('active');
+    }
 
-    if (messages.length > 0) {
-        // Check for new messages
-        if (!isFirstLoad && messages.length > previousMessageCount) {
-            const newCount = messages.length - previousMessageCount;
+    // Release attachment data
+    attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+    attachmentUrls = [];
+    modalContext = null;
+
+    // Keep scrolling locked while the archive is still open
+    if (!elements.archiveModal?.classList.contains('active')) {
+        document.body.style.overflow = '';
+    }
+}
 
-            // Play sound
-            if (notificationSound) notificationSound.play();
+// ========================================
+// Archive Functions
+// ========================================
 
-            // Browser notification
-            showBrowserNotification('T3N Mail - رسالة جديدة', `لديك ${newCount} رسالة جديدة`);
+/**
+ * Open the local message archive
+ */
+function openArchive() {
+    if (!elements.archiveModal) return;
 
-            // Toast
-            showToast(`وصلت ${newCount} رسالة جديدة! 📨`);
-        }
+    if (!mailManager?.archive) {
+        showToast('الأرشيف غير مدعوم في هذا المتصفح');
+        return;
+    }
 
-        previousMessageCount = messages.length;
+    elements.archiveModal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    renderArchive();
+}
 
-        if (elements.inboxEmpty) elements.inboxEmpty.classList.add('hidden');
-        if (elements.inboxList) elements.inboxList.classList.add('active');
+/**
+ * Close the archive
+ */
+function closeArchive() {
+    if (!elements.archiveModal?.classList.contains('active')) return;
 
-        renderMessages(messages);
-    } else {
-        if (elements.inboxEmpty) elements.inboxEmpty.classList.remove('hidden');
-        if (elements.inboxList) elements.inboxList.classList.remove('active');
-        previousMessageCount = 0;
-    }
+    elements.archiveModal.classList.remove('active');
+    document.body.style.overflow = '';
 }
 
 /**
- * Render messages in inbox
+ * Render archived messages matching the search box
  */
-function renderMessages(messages) {
-    if (!elements.inboxList) return;
+async function renderArchive() {
+    if (!elements.archiveList || !mailManager?.archive) return;
 
-    elements.inboxList.innerHTML = messages.map((msg, index) => {
-        const isNew = index === 0 && !isFirstLoad;
-        const fromDisplay = escapeHtml(msg.from || 'مرسل غير معروف');
-        const subjectDisplay = escapeHtml(msg.subject || 'بدون عنوان');
+    try {
+        const records = await mailManager.archive.getAll({ query: elements.archiveSearch?.value || '' });
 
-        return `
-            <div class="inbox-item ${isNew ? 'new-message' : ''}" 
-                 data-id="${msg.id}" 
-                 onclick="openMessage('${msg.id}')">
-                <div class="inbox-avatar">
-                    <i class="fas fa-envelope${isNew ? '' : '-open'}"></i>
-                </div>
+        if (records.length === 0) {
+            elements.archiveList.innerHTML = '<p class="archive-empty">لا توجد رسائل في الأرشيف</p>';
+            return;
+        }
+
+        elements.archiveList.innerHTML = records.map(record => `
+            <div class="archive-item" data-address="${escapeHtml(record.address)}" data-id="${escapeHtml(record.id)}">
                 <div class="inbox-content">
-                    <div class="inbox-from">
-                        ${fromDisplay}
-                        ${index === 0 ? '<span class="inbox-new-badge">جديد</span>' : ''}
-                    </div>
-                    <div class="inbox-subject">${subjectDisplay}</div>
+                    <div class="inbox-from">${escapeHtml(record.from || 'مرسل غير معروف')}</div>
+                    <div class="inbox-subject">${escapeHtml(record.subject || 'بدون عنوان')}</div>
+                    <div class="archive-address">${escapeHtml(record.address)}</div>
                 </div>
-                <div class="inbox-time">${formatDate(msg.date)}</div>
+                <div class="inbox-time">${formatDate(record.date)}</div>
+                <button class="archive-delete" title="حذف من الأرشيف">
+                    <i class="fas fa-trash"></i>
+                </button>
             </div>
-        `;
-    }).join('');
+        `).join('');
+    } catch (error) {
+        console.error('[T3N Mail] Error reading archive:', error);
+        elements.archiveList.innerHTML = '<p class="archive-empty">خطأ في قراءة الأرشيف</p>';
+    }
 }
 
 /**
- * Open message in modal
+ * Show an archived message in the message modal
  */
-async function openMessage(messageId) {
-    if (!elements.modal) return;
-
-    // Show loading
-    if (elements.modalFrom) elements.modalFrom.textContent = 'جاري التحميل...';
-    if (elements.modalFromEmail) elements.modalFromEmail.textContent = '';
-    if (elements.modalDate) elements.modalDate.textContent = '';
-    if (elements.modalSubject) elements.modalSubject.textContent = '';
-    if (elements.modalBody) {
-        elements.modalBody.innerHTML = '<div class="loading-dots"><span></span><span></span><span></span></div>';
-    }
-
-    elements.modal.classList.add('active');
-    document.body.style.overflow = 'hidden';
+async function openArchivedMessage(address, id) {
+    if (!showModalLoading()) return;
 
     try {
-        const message = await mailManager.getMessage(messageId);
+        const record = await mailManager.archive.get(address, id);
+        if (!record) throw new Error('Message not found');
 
-        if (message) {
-            if (elements.modalFrom) {
-                elements.modalFrom.textContent = extractName(message.from) || 'مرسل غير معروف';
-            }
-            if (elements.modalFromEmail) {
-                elements.modalFromEmail.textContent = message.from || '';
-            }
-            if (elements.modalDate) {
-                elements.modalDate.textContent = formatDate(message.date);
-            }
-            if (elements.modalSubject) {
-                elements.modalSubject.textContent = message.subject || 'بدون عنوان';
-            }
-            if (elements.modalBody) {
-                if (message.htmlBody) {
-                    elements.modalBody.innerHTML = sanitizeHTML(message.htmlBody);
-                } else if (message.textBody || message.body) {
-                    elements.modalBody.innerHTML = `<pre style="white-space:pre-wrap;font-family:inherit;">${escapeHtml(message.textBody || message.body)}</pre>`;
-                } else {
-                    elements.modalBody.innerHTML = '<p>لا يوجد محتوى</p>';
-                }
-            }
-        } else {
-            throw new Error('Message not found');
-        }
+        renderMessageModal(record, address);
     } catch (error) {
-        console.error('[T3N Mail] Error opening message:', error);
+        console.error('[T3N Mail] Error opening archived message:', error);
         if (elements.modalBody) {
             elements.modalBody.innerHTML = '<p style="color:#ff4757;">خطأ في تحميل الرسالة</p>';
         }
@@ -639,13 +2269,33 @@ async function openMessage(messageId) {
 }
 
 /**
- * Close modal
+ * Delete one archived message
  */
-function closeModal() {
-    if (elements.modal) {
-        elements.modal.classList.remove('active');
+async function deleteArchivedMessage(address, id) {
+    try {
+        await mailManager.archive.delete(address, id);
+        renderArchive();
+        showToast('تم حذف الرسالة من الأرشيف');
+    } catch (error) {
+        console.error('[T3N Mail] Error deleting archived message:', error);
+        showToast('خطأ في الحذف');
+    }
+}
+
+/**
+ * Delete the whole archive
+ */
+async function clearArchive() {
+    if (!mailManager?.archive || !confirm('حذف جميع الرسائل المؤرشفة؟')) return;
+
+    try {
+        await mailManager.archive.clear();
+        renderArchive();
+        showToast('تم مسح الأرشيف');
+    } catch (error) {
+        console.error('[T3N Mail] Error clearing archive:', error);
+        showToast('خطأ في الحذف');
     }
-    document.body.style.overflow = '';
 }
 
 // ========================================
@@ -653,34 +2303,166 @@ function closeModal() {
 // ========================================
 
 /**
- * Start countdown timer
+ * Start countdown timer for all mailboxes
  */
 function startTimer() {
     clearInterval(timerInterval);
 
     timerInterval = setInterval(() => {
-        timeRemaining--;
+        if (!mailManager) return;
 
-        if (timeRemaining <= 0) {
-            refreshEmail();
-            timeRemaining = 600;
-        }
+        mailManager.getMailboxes().forEach(session => {
+            const state = getMailboxState(session.address);
+            if (session.keepAlive || state.isExpiring) return;
+
+            // The leader tab replaces expired mailboxes and shares the result
+            if (!isPollingTab() && getTimeRemaining(session) === 0) return;
+
+            const timeRemaining = getTimeRemaining(session);
+            if (timeRemaining > 0) {
+                if (!state.isWarned && timeRemaining * 1000 <= CONFIG.EXPIRY_WARNING) {
+                    state.isWarned = true;
+                    warnExpiry(session);
+                }
+                return;
+            }
+
+            // A failed rotation (every provider down) is retried with a backoff
+            if (state.rotateRetryAt > Date.now()) return;
+
+            state.isExpiring = true;
+            if (expiryAddress === session.address) hideExpiryDialog();
+
+            if (session.address === mailManager.activeAddress) {
+                refreshEmail().then(created => {
+                    if (created) return;
+
+                    state.isExpiring = false;
+                    state.isWarned = false;
+                    state.rotateRetryAt = Date.now() + Math.min(
+                        CONFIG.EXPIRY_RETRY_DELAY * 2 ** state.rotateFailures++,
+                        CONFIG.MAX_EXPIRY_RETRY_DELAY
+                    );
+                });
+            } else {
+                mailManager.removeMailbox(session.address);
+                mailboxState.delete(session.address);
+                saveSession();
+                renderMailboxList();
+                showToast(`انتهت صلاحية ${session.address}`);
+            }
+        });
 
         updateTimerDisplay();
+        updateMailboxTimers();
+        updateExpiryDialog();
+        renderPollStatus();
     }, 1000);
 
     updateTimerDisplay();
 }
 
+/**
+ * Seconds left before a mailbox expires (Infinity while kept alive)
+ */
+function getTimeRemaining(session) {
+    if (session.keepAlive) return Infinity;
+    return Math.max(0, Math.ceil((session.expiresAt - Date.now()) / 1000));
+}
+
+/**
+ * Format seconds as mm:ss, or h:mm:ss from one hour up
+ */
+function formatTime(totalSeconds) {
+    if (totalSeconds === Infinity) return '∞';
+
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+/**
+ * Warn before a mailbox expires: a dialog for the active one, a toast for the rest
+ */
+function warnExpiry(session) {
+    if (session.address !== mailManager.activeAddress) {
+        showToast(`${session.address} سينتهي خلال أقل من دقيقة`, 5000);
+        return;
+    }
+
+    if (!elements.expiryDialog) return;
+
+    expiryAddress = session.address;
+    updateExpiryDialog();
+    elements.expiryDialog.classList.add('active');
+}
+
+function updateExpiryDialog() {
+    if (!expiryAddress || !elements.expiryText) return;
+
+    const session = mailManager.getMailbox(expiryAddress)?.session;
+    if (!session) {
+        hideExpiryDialog();
+        return;
+    }
+
+    elements.expiryText.textContent =
+        `ستنتهي صلاحية ${session.address} خلال ${formatTime(getTimeRemaining(session))}، ` +
+        'وبعدها يُستبدل بعنوان جديد. مدّد الصلاحية للاحتفاظ به وبرسائله.';
+}
+
+function hideExpiryDialog() {
+    expiryAddress = null;
+    if (elements.expiryDialog) elements.expiryDialog.classList.remove('active');
+}
+
+/**
+ * Add ten minutes to a mailbox
+ */
+function extendMailbox(address = mailManager?.activeAddress) {
+    if (!address || !mailManager.extendMailbox(address)) return;
+
+    getMailboxState(address).isWarned = false;
+    hideExpiryDialog();
+    saveSession();
+    updateTimerDisplay();
+    updateMailboxTimers();
+    showToast('تم تمديد الصلاحية 10 دقائق ✓');
+}
+
+/**
+ * Keep a mailbox from expiring, or let it expire again
+ */
+function toggleKeepAlive(address = mailManager?.activeAddress, enabled) {
+    const session = address && mailManager.getMailbox(address)?.session;
+    if (!session) return;
+
+    const keepAlive = enabled ?? !session.keepAlive;
+    mailManager.setKeepAlive(address, keepAlive);
+
+    getMailboxState(address).isWarned = false;
+    hideExpiryDialog();
+    saveSession();
+    updateTimerDisplay();
+    updateMailboxTimers();
+    showToast(keepAlive ? 'سيبقى العنوان نشطاً حتى تلغي ذلك ✓' : 'عاد العد التنازلي للعنوان');
+}
+
 /**
  * Update timer display
  */
 function updateTimerDisplay() {
-    if (!elements.emailTimer) return;
+    if (!elements.emailTimer || !mailManager?.session) return;
 
-    const minutes = Math.floor(timeRemaining / 60);
-    const seconds = timeRemaining % 60;
-    elements.emailTimer.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    const timeRemaining = getTimeRemaining(mailManager.session);
+    elements.emailTimer.textContent = formatTime(timeRemaining);
+
+    if (elements.keepAlive) {
+        elements.keepAlive.classList.toggle('active', mailManager.session.keepAlive);
+    }
 
     // Color change for urgency
     if (timeRemaining <= 60) {
@@ -692,6 +2474,19 @@ function updateTimerDisplay() {
     }
 }
 
+/**
+ * Update the countdown of every mailbox in the switcher
+ */
+function updateMailboxTimers() {
+    if (!elements.mailboxList) return;
+
+    elements.mailboxList.querySelectorAll('.mailbox-item').forEach(item => {
+        const session = mailManager.getMailbox(item.dataset.address)?.session;
+        const timer = item.querySelector('.mailbox-timer');
+        if (session && timer) timer.textContent = formatTime(getTimeRemaining(session));
+    });
+}
+
 // ========================================
 // UI Functions
 // ========================================
@@ -795,32 +2590,215 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-function sanitizeHTML(html) {
-    if (!html) return '';
+// Mail HTML allow-list: anything else is unwrapped, or dropped with its content
+const SANITIZE_TAGS = new Set([
+    'a', 'abbr', 'address', 'article', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br', 'caption', 'center',
+    'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'div', 'dl', 'dt', 'em', 'font', 'footer', 'h1', 'h2',
+    'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'ol', 'p',
+    'pre', 'q', 's', 'section', 'small', 'span', 'strike', 'strong', 'style', 'sub', 'sup', 'table',
+    'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt', 'u', 'ul'
+]);
+const SANITIZE_DROP = new Set([
+    'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form', 'input', 'button',
+    'select', 'textarea', 'link', 'meta', 'base', 'svg', 'math', 'template', 'noscript', 'audio',
+    'video', 'source', 'track', 'canvas', 'title', 'head'
+]);
+const SANITIZE_ATTRIBUTES = new Set([
+    'align', 'alt', 'bgcolor', 'border', 'cellpadding', 'cellspacing', 'class', 'color', 'colspan',
+    'dir', 'face', 'height', 'href', 'lang', 'rowspan', 'size', 'src', 'style', 'title', 'valign', 'width'
+]);
+
+// Open-tracking hosts and pixel paths; matching images are removed even when images are loaded
+const TRACKER_PATTERNS = [
+    /google-analytics\.com/i,
+    /doubleclick\.net/i,
+    /list-manage\.com\/track/i,
+    /sendgrid\.net\/wf\/open/i,
+    /mandrillapp\.com\/track/i,
+    /mailtrack\.io/i,
+    /mixpanel\.com\/track/i,
+    /exacttarget\.com/i,
+    /hubspot(email)?\.(com|net)\/.*\/(e1t|e2t|open)/i,
+    /\/(open|pixel|beacon|tracking)(\.gif|\.png)?(\?|\/|$)/i,
+    /\/track\/open/i
+];
+// Query parameters that redirect wrappers use to carry the real destination
+const REDIRECT_PARAMS = ['url', 'u', 'q', 'redirect', 'redirect_url', 'target', 'dest', 'destination', 'link', 'r'];
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$/i;
+
+/**
+ * Allow-list sanitizer for mail HTML; returns a detached <body> element
+ */
+function sanitizeDocument(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const styles = Array.from(doc.querySelectorAll('head style'));
+
+    // <style> blocks from <head> are kept, the rest of <head> is not
+    doc.body.prepend(...styles);
+    sanitizeNode(doc.body);
+
+    return doc.body;
+}
+
+/**
+ * Replace remote images with placeholders, drop tracking pixels and unwrap tracked links.
+ * Returns the counts shown in the remote content bar.
+ */
+function blockRemoteContent(body, loadImages = false) {
+    const report = { images: 0, trackers: 0, links: 0 };
+
+    body.querySelectorAll('img').forEach(img => {
+        const src = img.getAttribute('src');
+        if (!src) return;
+
+        if (isTrackingPixel(img, src)) {
+            img.remove();
+            report.trackers++;
+            return;
+        }
+
+        report.images++;
+        if (loadImages) return;
+
+        const placeholder = body.ownerDocument.createElement('span');
+        placeholder.className = 'blocked-image';
+        placeholder.textContent = `🖼 ${img.getAttribute('alt') || 'صورة محظورة'}`;
+        placeholder.title = src;
+        img.replaceWith(placeholder);
+    });
+
+    body.querySelectorAll('a[href]').forEach(link => {
+        const href = link.getAttribute('href');
+        const destination = unwrapTrackedLink(href);
+
+        if (destination !== href) {
+            link.setAttribute('href', destination);
+            report.links++;
+        }
+        link.setAttribute('title', destination);
+    });
+
+    return report;
+}
+
+function isTrackingPixel(img, src) {
+    if (TRACKER_PATTERNS.some(pattern => pattern.test(src))) return true;
+
+    const width = parseInt(img.getAttribute('width') || img.style.width, 10);
+    const height = parseInt(img.getAttribute('height') || img.style.height, 10);
+    const tiny = size => size <= 2;
+
+    return (tiny(width) && (tiny(height) || isNaN(height))) ||
+        (tiny(height) && isNaN(width)) ||
+        img.style.display === 'none';
+}
+
+/**
+ * Follow redirect wrappers to the real destination and strip tracking parameters
+ */
+function unwrapTrackedLink(href, depth = 0) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch {
+        return href;
+    }
+    if (!/^https?:$/.test(url.protocol)) return href;
+
+    if (depth < 3) {
+        for (const param of REDIRECT_PARAMS) {
+            const target = url.searchParams.get(param);
+            if (target && /^https?:\/\//i.test(target)) {
+                return unwrapTrackedLink(target, depth + 1);
+            }
+        }
+    }
+
+    const tracking = Array.from(url.searchParams.keys()).filter(key => TRACKING_PARAMS.test(key));
+    if (tracking.length === 0) return href;
+
+    tracking.forEach(key => url.searchParams.delete(key));
+    return url.toString();
+}
+
+function sanitizeNode(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.COMMENT_NODE) {
+            node.remove();
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toLowerCase();
 
-    const temp = document.createElement('div');
-    temp.innerHTML = html;
+        if (SANITIZE_DROP.has(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeNode(node);
+
+        if (!SANITIZE_TAGS.has(tag)) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
 
-    // Remove dangerous elements
-    temp.querySelectorAll('script, iframe, object, embed, form').forEach(el => el.remove());
+        if (tag === 'style') {
+            node.textContent = sanitizeCSS(node.textContent);
+            return;
+        }
 
-    // Remove event handlers
-    temp.querySelectorAll('*').forEach(el => {
-        Array.from(el.attributes).forEach(attr => {
-            if (attr.name.startsWith('on') ||
-                (attr.name === 'href' && attr.value.startsWith('javascript:'))) {
-                el.removeAttribute(attr.name);
+        Array.from(node.attributes).forEach(({ name, value }) => {
+            if (!SANITIZE_ATTRIBUTES.has(name)) {
+                node.removeAttribute(name);
+            } else if (name === 'style') {
+                node.setAttribute('style', sanitizeCSS(value));
+            } else if (name === 'href' && !/^(https?:|mailto:)/i.test(value.trim())) {
+                node.removeAttribute(name);
+            } else if (name === 'src' && !/^https?:/i.test(value.trim())) {
+                node.removeAttribute(name);
             }
         });
-    });
 
-    // Make links safe
-    temp.querySelectorAll('a').forEach(link => {
-        link.setAttribute('target', '_blank');
-        link.setAttribute('rel', 'noopener noreferrer');
+        if (tag === 'a') {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
     });
+}
+
+/**
+ * Strip anything from CSS that can load a resource or run code
+ */
+function sanitizeCSS(css) {
+    return css
+        .replace(/\\/g, '')
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(/url\s*\([^)]*\)/gi, 'none')
+        .replace(/expression\s*\(/gi, '(')
+        .replace(/(-moz-binding|behavior)\s*:[^;]*;?/gi, '')
+        .replace(/<\/?style/gi, '');
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function getPreviewType(contentType = '') {
+    if (/^image\/(png|jpe?g|gif|webp|bmp)$/i.test(contentType)) return 'image';
+    if (/^application\/pdf$/i.test(contentType)) return 'pdf';
+    return null;
+}
 
-    return temp.innerHTML;
+function getAttachmentIcon(contentType = '') {
+    if (contentType.startsWith('image/')) return 'fa-file-image';
+    if (contentType === 'application/pdf') return 'fa-file-pdf';
+    if (/zip|compressed|tar|rar/.test(contentType)) return 'fa-file-zipper';
+    if (contentType.startsWith('text/')) return 'fa-file-lines';
+    return 'fa-file';
 }
 
 function extractName(email) {
@@ -848,7 +2826,9 @@ function formatDate(dateString) {
 
 // Global functions
 window.openMessage = openMessage;
+window.deleteMessage = deleteMessage;
 window.copyEmail = copyEmail;
+window.copyCode = copyCode;
 window.refreshEmail = refreshEmail;
 window.refreshInbox = refreshInbox;
 
@@ -0,0 +1,323 @@
+/**
+ * T3N Mail - Service Worker
+ *
+ * Features:
+ * - Offline app shell
+ * - Background inbox checks (periodic background sync)
+ * - New mail notifications while no tab is visible
+ */
+
+importScripts('js/api.js');
+
+// ========================================
+// Configuration
+// ========================================
+const SHELL_CACHE = 't3n-mail-shell-v1';
+const STATE_DB_NAME = 't3n-mail-worker';
+const INBOX_CHECK_TAG = 't3n-inbox-check';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'js/api.js',
+    'js/main.js'
+];
+
+// ========================================
+// Lifecycle
+// ========================================
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ========================================
+// Offline Shell
+// ========================================
+
+/**
+ * Shell files: serve from cache and refresh in the background.
+ * Page loads: network first, the cached page when offline.
+ * Everything else (provider APIs, CDNs) goes straight to the network.
+ */
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put('index.html', copy));
+                    return response;
+                })
+                .catch(() => caches.match('index.html'))
+        );
+        return;
+    }
+
+    const isShellFile = SHELL_FILES.some(file => url.pathname === new URL(file, self.registration.scope).pathname);
+    if (!isShellFile) return;
+
+    event.respondWith(
+        caches.open(SHELL_CACHE).then(async cache => {
+            const cached = await cache.match(request);
+            const update = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cached);
+
+            if (cached) {
+                event.waitUntil(update);
+                return cached;
+            }
+            return update;
+        })
+    );
+});
+
+// ========================================
+// Mailbox State
+// ========================================
+
+/**
+ * One IndexedDB record per mailbox the page shared:
+ * { address, session, active, messageState, known }.
+ * The session keeps its credentials since the check polls with them; a record
+ * goes as soon as its mailbox expires or the page closes it.
+ */
+let stateDb = null;
+
+function openStateDb() {
+    if (!stateDb) {
+        stateDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(STATE_DB_NAME, 1);
+
+            request.onupgradeneeded = () => request.result.createObjectStore('mailboxes', { keyPath: 'address' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return stateDb;
+}
+
+async function mailboxStore(mode) {
+    const db = await openStateDb();
+    return db.transaction('mailboxes', mode).objectStore('mailboxes');
+}
+
+function transactionDone(store) {
+    return new Promise((resolve, reject) => {
+        store.transaction.oncomplete = () => resolve();
+        store.transaction.onerror = () => reject(store.transaction.error);
+    });
+}
+
+function isExpired(record) {
+    return MailboxSession.fromJSON(record.session).isExpired();
+}
+
+/**
+ * Saved mailboxes that have not expired; expired ones are deleted
+ */
+async function loadMailboxes() {
+    const records = await idbRequest((await mailboxStore('readonly')).getAll());
+    const expired = records.filter(isExpired);
+
+    if (expired.length > 0) {
+        const store = await mailboxStore('readwrite');
+        expired.forEach(record => store.delete(record.address));
+        await transactionDone(store);
+    }
+
+    return records.filter(record => !expired.includes(record));
+}
+
+/**
+ * Replace the saved mailboxes with the state the page shared (see getSharedState() in main.js)
+ */
+async function saveState({ mailboxes = [], active = null, messageState = {}, messages = {} }) {
+    const store = await mailboxStore('readwrite');
+    store.clear();
+
+    mailboxes
+        .map(session => ({
+            address: session.address,
+            session,
+            active: session.address === active,
+            messageState: messageState[session.address],
+            known: (messages[session.address] || []).map(message => String(message.id))
+        }))
+        .filter(record => !isExpired(record))
+        .forEach(record => store.put(record));
+
+    await transactionDone(store);
+}
+
+/**
+ * Store the result of a check, unless the page closed the mailbox meanwhile
+ */
+async function updateMailbox(record) {
+    const store = await mailboxStore('readwrite');
+    const request = store.getKey(record.address);
+
+    request.onsuccess = () => {
+        if (request.result !== undefined) store.put(record);
+    };
+    await transactionDone(store);
+}
+
+/**
+ * Mailboxes for a window opened from a notification, in the page's shared state shape
+ */
+async function getSharedState() {
+    const records = await loadMailboxes();
+    if (records.length === 0) return null;
+
+    const messageState = {};
+    records.forEach(record => {
+        messageState[record.address] = record.messageState;
+    });
+
+    return {
+        mailboxes: records.map(record => record.session),
+        active: records.find(record => record.active)?.address || null,
+        messageState
+    };
+}
+
+self.addEventListener('message', (event) => {
+    const { type, state } = event.data || {};
+
+    if (type === 'state' && state) {
+        event.waitUntil(saveState(state));
+    } else if (type === 'state:request') {
+        // A window opened from a notification takes over the checked mailboxes
+        event.waitUntil(getSharedState().then(shared => event.ports[0]?.postMessage(shared)));
+    }
+});
+
+// ========================================
+// Background Inbox Checks
+// ========================================
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === INBOX_CHECK_TAG) {
+        event.waitUntil(checkInboxes());
+    }
+});
+
+/**
+ * Poll every saved mailbox once and notify about mail the page hasn't seen.
+ * A mailbox whose check fails stays saved and is checked again next time.
+ */
+async function checkInboxes() {
+    const records = await loadMailboxes();
+    if (records.length === 0) return;
+
+    const manager = new TempMailManager();
+    const arrived = [];
+
+    manager.on('message:new', ({ address, messages }) => arrived.push({ address, messages }));
+
+    for (const record of records) {
+        const { address } = record;
+
+        try {
+            await manager.restoreSession(record.session);
+            manager.setMessageState(address, record.messageState);
+
+            // What the page already listed is known, not new
+            manager.applyMessages(address, record.known.map(id => ({ id })), { remote: true });
+            const messages = await manager.getMessages(address);
+
+            // Remember what was seen so the next check only reports newer mail
+            await updateMailbox({
+                ...record,
+                session: manager.getMailbox(address).session.toJSON(),
+                messageState: manager.getMessageState(address),
+                known: messages.map(message => String(message.id))
+            });
+        } catch (error) {
+            console.error(`[T3N Mail] Background check failed for ${address}:`, error);
+        }
+    }
+
+    if (arrived.length > 0 && !(await hasVisibleClient())) {
+        await Promise.all(arrived.map(notifyNewMessages));
+    }
+}
+
+async function hasVisibleClient() {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    return windows.some(client => client.visibilityState === 'visible');
+}
+
+/**
+ * Same wording as the page's browser notifications
+ */
+function notifyNewMessages({ address, messages }) {
+    const [first] = messages;
+    const sender = first.from || 'مرسل غير معروف';
+    const subject = first.subject || 'بدون عنوان';
+
+    const title = messages.length === 1
+        ? `${sender} - ${subject}`
+        : `T3N Mail - ${messages.length} رسائل جديدة على ${address}`;
+    const body = messages.length === 1
+        ? `رسالة جديدة على ${address}`
+        : messages.slice(0, 3).map(msg => `${msg.from || 'مرسل غير معروف'}: ${msg.subject || 'بدون عنوان'}`).join('\n');
+
+    return self.registration.showNotification(title, {
+        body,
+        icon: 'assets/favicon.png',
+        badge: 'assets/favicon.png',
+        tag: `t3n-mail-${address}`,
+        data: { address, messageId: String(first.id) }
+    });
+}
+
+/**
+ * Focus the app and open the message; start the app if no tab is open
+ */
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { address, messageId } = event.notification.data || {};
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(async windows => {
+            const client = windows.find(win => win.visibilityState === 'visible') || windows[0];
+
+            if (client) {
+                await client.focus();
+                client.postMessage({ type: 'open-message', address, messageId });
+                return;
+            }
+
+            const params = new URLSearchParams();
+            if (messageId) params.set('message', messageId);
+            if (address) params.set('address', address);
+            await self.clients.openWindow(`./?${params}`);
+        })
+    );
+});